@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+'use strict';
+
+var cli = require('../lib/cli');
+
+cli.run(process.argv.slice(2), process).then(function (exitCode) {
+  process.exitCode = exitCode;
+});
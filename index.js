@@ -27,83 +27,319 @@
 var assert = require('assert');
 var URI = require('urijs');
 
+var SwaggerConverterError = require('./lib/errors').SwaggerConverterError;
+var listApiDeclarations = require('./lib/declarations').listApiDeclarations;
+var utils = require('./lib/utils');
+var extend = utils.extend;
+var undefinedIfEmpty = utils.undefinedIfEmpty;
+var isValue = utils.isValue;
+var getLength = utils.getLength;
+var isEmpty = utils.isEmpty;
+var isEqual = utils.isEqual;
+var collectReferences = utils.collectReferences;
+var appendPointer = utils.appendPointer;
+var replaceFormatPlaceholder = utils.replaceFormatPlaceholder;
+var getValue = utils.getValue;
+var METHODS = utils.METHODS;
+var convertToOpenApi3 = require('./lib/openapi3').convertToOpenApi3;
+var loadFromUrl = require('./lib/loader').loadFromUrl;
+var convertToV1 = require('./lib/swagger1').convertToV1;
+var validateSwagger = require('./lib/validator').validateSwagger;
+var normalizeInput = require('./lib/inputs').normalizeInput;
+var convertDirectory = require('./lib/batch').convertDirectory;
+var documents = require('./lib/documents');
+var parseDocument = documents.parseDocument;
+
 module.exports = {
   convert: convert,
+  convertWithReport: convertWithReport,
+  convertFromUrl: convertFromUrl,
+  convertDirectory: convertDirectory,
+  convertToV1: convertToV1,
   listApiDeclarations: listApiDeclarations,
+  parseDocument: parseDocument,
+  serializeDocument: documents.serializeDocument,
+  SwaggerConverterError: SwaggerConverterError,
 };
 
-/**
- * Swagger Converter Error
- * @param {string} message - error message
+/*
+ * Converts Swagger 1.x specs file to Swagger 2.0 specs.
+ * @param resourceListing {object|array|string} - root Swagger 1.x document
+ *  where it has a list of all paths or a document with resourceListing and
+ *  apiDeclarations merged, JSON or YAML string is parsed
+ * @param apiDeclarations {object|array} - a map with paths as keys and
+ *  resources, either objects or JSON or YAML strings, as values or a list of
+ *  resources matched to paths by 'resourcePath'
+ * @param options {object} - additonal options
+ * @returns {object} - Fully converted Swagger 2.0 document
  */
-function SwaggerConverterError(message) {
-  this.message = message;
-  this.stack = new Error(message).stack;
+function convert(resourceListing, apiDeclarations, options) {
+  return convertWithReport(resourceListing, apiDeclarations, options).swagger;
 }
-SwaggerConverterError.prototype = Object.create(Error.prototype);
-SwaggerConverterError.prototype.name = 'SwaggerConverterError';
 
 /*
- * List all apiDeclarations refenced in resourceListing
- * @param sourceUrl {string} - source URL for root Swagger 1.x document
- * @param resourceListing {object} - root Swagger 1.x document
- * @returns {object} - map of apiDeclarations paths to absolute URLs
+ * Converts Swagger 1.x specs file to Swagger 2.0 specs and reports every
+ * lossy or questionable conversion step.
+ * @param resourceListing {object|array|string} - root Swagger 1.x document
+ *  where it has a list of all paths or a document with resourceListing and
+ *  apiDeclarations merged, JSON or YAML string is parsed
+ * @param apiDeclarations {object|array} - a map with paths as keys and
+ *  resources, either objects or JSON or YAML strings, as values or a list of
+ *  resources matched to paths by 'resourcePath'
+ * @param options {object} - additonal options
+ * @returns {object} - `swagger` is Swagger 2.0 document and `warnings` is
+ *  a list of warnings produced during conversion
  */
-function listApiDeclarations(sourceUrl, resourceListing) {
-  /*
-   * Warning: This code is intended to cover us much as possible real-life
-   * cases and was tested using hundreds of public Swagger documents. If you
-   * change code please do not introduce any breaking changes.
-   * Possible workaround: you can alter algorithm by add/change 'basePath'
-   * before passing it into this function.
-   */
-  sourceUrl = URI(sourceUrl || '').query('');
+function convertWithReport(resourceListing, apiDeclarations, options) {
+  var input = normalizeInput(resourceListing, apiDeclarations);
+
+  var converter = new Converter();
+  converter.options = options || {};
 
-  var baseUrl = URI(resourceListing.basePath || '');
-  if (baseUrl.is('relative')) {
-    baseUrl = baseUrl.absoluteTo(sourceUrl);
+  var target = converter.options.target;
+  if (isValue(target) && !isValue(TARGETS[target])) {
+    throw new SwaggerConverterError('Unsupported target: ' + target);
   }
 
-  if (resourceListing.swaggerVersion === '1.0' && baseUrl.suffix() === 'json') {
-    baseUrl.filename('');
+  var validate = converter.options.validate;
+  if (isValue(validate) && [true, false, 'strict'].indexOf(validate) === -1) {
+    throw new SwaggerConverterError('Unsupported validate: ' + validate);
+  }
+  if (validate && isValue(target) && TARGETS[target] !== '2.0') {
+    throw new SwaggerConverterError(
+      'validate option supports only swagger-2.0 target',
+    );
   }
 
-  var result = {};
-  resourceListing.apis.forEach(function (api) {
-    // skip embedded documents
-    if (!isValue(api.path) || isValue(api.operations)) {
-      return;
-    }
+  var strategy = converter.options.operationIdStrategy;
+  if (
+    isValue(strategy) &&
+    typeof strategy !== 'function' &&
+    OPERATION_ID_STRATEGIES.indexOf(strategy) === -1
+  ) {
+    throw new SwaggerConverterError(
+      'Unsupported operationIdStrategy: ' + strategy,
+    );
+  }
 
-    var resourceUrl = URI(api.path.replace('{format}', 'json'));
-    if (resourceUrl.is('relative')) {
-      resourceUrl = URI(baseUrl.href() + resourceUrl.href());
-    }
-    result[api.path] = resourceUrl.normalize().href();
+  var modelCollision = converter.options.modelCollision;
+  if (
+    isValue(modelCollision) &&
+    MODEL_COLLISION_POLICIES.indexOf(modelCollision) === -1
+  ) {
+    throw new SwaggerConverterError(
+      'Unsupported modelCollision: ' + modelCollision,
+    );
+  }
+
+  var pathCollision = converter.options.pathCollision;
+  if (
+    isValue(pathCollision) &&
+    PATH_COLLISION_POLICIES.indexOf(pathCollision) === -1
+  ) {
+    throw new SwaggerConverterError(
+      'Unsupported pathCollision: ' + pathCollision,
+    );
+  }
+
+  var bodyConflict = converter.options.bodyConflict;
+  if (
+    isValue(bodyConflict) &&
+    BODY_CONFLICT_POLICIES.indexOf(bodyConflict) === -1
+  ) {
+    throw new SwaggerConverterError(
+      'Unsupported bodyConflict: ' + bodyConflict,
+    );
+  }
+
+  var formatPlaceholder = converter.options.formatPlaceholder;
+  if (
+    isValue(formatPlaceholder) &&
+    FORMAT_PLACEHOLDER_MODES.indexOf(formatPlaceholder) === -1
+  ) {
+    throw new SwaggerConverterError(
+      'Unsupported formatPlaceholder: ' + formatPlaceholder,
+    );
+  }
+
+  var formatExtension = converter.options.formatExtension;
+  if (isValue(formatExtension) && !/^[\w.+-]+$/.test(formatExtension)) {
+    throw new SwaggerConverterError(
+      'Unsupported formatExtension: ' + formatExtension,
+    );
+  }
+  if (
+    isValue(formatExtension) &&
+    isValue(formatPlaceholder) &&
+    formatPlaceholder !== 'substitute'
+  ) {
+    throw new SwaggerConverterError(
+      'formatExtension option supports only substitute formatPlaceholder',
+    );
+  }
+
+  var hoistThreshold = converter.options.hoistThreshold;
+  if (
+    isValue(hoistThreshold) &&
+    !(Number.isInteger(hoistThreshold) && hoistThreshold > 0)
+  ) {
+    throw new SwaggerConverterError(
+      'Unsupported hoistThreshold: ' + hoistThreshold,
+    );
+  }
+
+  var plugins = converter.options.plugins;
+  if (isValue(plugins) && !Array.isArray(plugins)) {
+    throw new SwaggerConverterError('plugins option should be an array');
+  }
+
+  converter.warnings = [];
+  input.matches.forEach(function (match) {
+    converter.declarationPath = match.path;
+    converter.warn(
+      'DECLARATION_MATCHED',
+      'apiDeclaration ' +
+        match.source +
+        ' is used for "' +
+        match.path +
+        '" matched by ' +
+        match.rule,
+      '',
+      'info',
+    );
   });
+  if (converter.options.sourceMap === true) {
+    converter.origins = new WeakMap();
+  }
 
-  return result;
+  var swagger = converter.convert(input.resourceListing, input.apiDeclarations);
+  return extend(
+    {},
+    {
+      swagger: swagger,
+      warnings: converter.warnings,
+      sourceMap: converter.buildSourceMap(swagger),
+      validation: converter.validate(swagger),
+      operationIds: isValue(strategy) ? converter.operationIds : undefined,
+    },
+  );
 }
 
+//Supported values of 'target' option mapped to versions of output format
+var TARGETS = {
+  'swagger-2.0': '2.0',
+  'openapi-3.0': '3.0',
+  'openapi-3.1': '3.1',
+};
+
+//Supported values of 'operationIdStrategy' option, it also accepts function
+var OPERATION_ID_STRATEGIES = ['nickname', 'prefix', 'method-path'];
+
+//Validation keywords of Swagger 2.0 schemas and non-body parameters with
+//types of their values, string values of them are parsed as JSON. Numeric
+//exclusive limits come from JSON Schema Draft-6 and are converted.
+var VALIDATION_KEYWORDS = {
+  multipleOf: ['number'],
+  maximum: ['number'],
+  exclusiveMaximum: ['boolean', 'number'],
+  minimum: ['number'],
+  exclusiveMinimum: ['boolean', 'number'],
+  maxLength: ['number'],
+  minLength: ['number'],
+  maxItems: ['number'],
+  minItems: ['number'],
+  uniqueItems: ['boolean'],
+};
+
+//Types values of which are coerced by 'coerceValue'
+var SCALAR_TYPES = ['integer', 'number', 'boolean', 'string'];
+
+//Keywords Swagger 2.0 accepts only in schemas with types of their values,
+//string values of them are parsed as JSON
+var SCHEMA_KEYWORDS = {
+  maxProperties: ['number'],
+  minProperties: ['number'],
+  readOnly: ['boolean'],
+};
+
+//Extension collecting vendor extensions of Swagger 1.x objects which have no
+//Swagger 2.0 equivalent, keyed by JSON pointers inside converted object
+var EXTENSIONS_CONTAINER = 'x-swagger1-extensions';
+
+//Supported values of 'formatPlaceholder' option
+var FORMAT_PLACEHOLDER_MODES = ['substitute', 'parameter', 'strip'];
+
+//Extensions of media types which differ from their subtype
+var MEDIA_TYPE_EXTENSIONS = {
+  plain: 'txt',
+  javascript: 'js',
+  'octet-stream': 'bin',
+};
+
+//Canonical media types of short names and non-standard aliases, short names
+//are also file extensions used to derive media type from '{format}'
+var MEDIA_TYPE_ALIASES = {
+  json: 'application/json',
+  'text/json': 'application/json',
+  'text/x-json': 'application/json',
+  'application/x-json': 'application/json',
+  xml: 'application/xml',
+  yaml: 'application/x-yaml',
+  yml: 'application/x-yaml',
+  txt: 'text/plain',
+  text: 'text/plain',
+  html: 'text/html',
+  csv: 'text/csv',
+  js: 'application/javascript',
+  bin: 'application/octet-stream',
+  form: 'application/x-www-form-urlencoded',
+  multipart: 'multipart/form-data',
+};
+
+//Media types Swagger 2.0 accepts for operations with formData parameters
+var FORM_MEDIA_TYPES = [
+  'multipart/form-data',
+  'application/x-www-form-urlencoded',
+];
+
+//Supported values of 'bodyConflict' option
+var BODY_CONFLICT_POLICIES = ['prefer-body', 'prefer-form-data', 'error'];
+
+//Supported values of 'pathCollision' option
+var PATH_COLLISION_POLICIES = ['error', 'merge', 'keep-first', 'keep-last'];
+
+//Supported values of 'modelCollision' option
+var MODEL_COLLISION_POLICIES = [
+  'error',
+  'keep-first',
+  'merge-if-identical',
+  'rename',
+];
+
 /*
- * Converts Swagger 1.x specs file to Swagger 2.0 specs.
- * @param resourceListing {object} - root Swagger 1.x document where it has a
- *  list of all paths
- * @param apiDeclarations {object} - a map with paths as keys and resources as values
- * @param options {object} - additonal options
- * @returns {object} - Fully converted Swagger 2.0 document
+ * Fetches Swagger 1.x resourceListing with all its apiDeclarations and
+ * converts them to Swagger 2.0 specs.
+ * @param sourceUrl {string} - URL of resourceListing or root URL of the API
+ * @param options {object} - convert options plus 'loader', 'concurrency',
+ *  'retries', 'retryDelay' and 'timeout'
+ * @returns {Promise} - resolves to result of convertWithReport with
+ *  'sourceUrl' of found resourceListing and 'fetched' list of requests
  */
-function convert(resourceListing, apiDeclarations, options) {
-  if (Array.isArray(apiDeclarations)) {
-    throw new SwaggerConverterError(
-      'Second argument(apiDeclarations) should be plain object, ' +
-        'see release notes.',
+function convertFromUrl(sourceUrl, options) {
+  options = options || {};
+
+  return loadFromUrl(sourceUrl, options).then(function (loaded) {
+    var report = convertWithReport(
+      loaded.resourceListing,
+      loaded.apiDeclarations,
+      options,
     );
-  }
 
-  var converter = new Converter();
-  converter.options = options || {};
-  return converter.convert(resourceListing, apiDeclarations);
+    return extend(report, {
+      sourceUrl: loaded.sourceUrl,
+      fetched: loaded.fetched,
+    });
+  });
 }
 
 var Converter = function () {};
@@ -113,28 +349,37 @@ var prototype = Converter.prototype;
  * Converts Swagger 1.x specs file to Swagger 2.0 specs.
  * @param resourceListing {object} - root of Swagger 1.x document
  * @param apiDeclarations {object} - a map with paths as keys and resources as values
- * @returns {object} - Fully converted Swagger 2.0 document
+ * @returns {object} - Fully converted Swagger 2.0 document or, if
+ *  'splitByBasePath' option is set, a map of base URLs to Swagger 2.0 documents
  */
 prototype.convert = function (resourceListing, apiDeclarations) {
   assert(typeof resourceListing === 'object');
   assert(typeof apiDeclarations === 'object');
 
+  this.declarationPath = null;
   var resources = this.getResources(resourceListing, apiDeclarations);
   var tags = this.buildTags(resourceListing, resources);
   var securityDefinitions = this.buildSecurityDefinitions(
     resourceListing.authorizations,
   );
-  var paths = {};
+  var paths;
   var definitions = {};
+  var resourcePaths = [];
 
   this.customTypes = [];
   this.forEach(resources, function (resource) {
     if (isValue(resource.models)) {
-      //TODO: check that types don't overridden
       this.customTypes = this.customTypes.concat(Object.keys(resource.models));
     }
   });
 
+  //Declaration path of apiDeclaration every definition came from
+  this.definitionOrigins = {};
+  //Index of Swagger 1.x parameter every Swagger 2.0 parameter was built from,
+  //merging of body parameters shifts positions inside operation
+  this.parameterIndexes = new WeakMap();
+  this.operationEntries = [];
+
   this.forEach(resources, function (resource, index) {
     var operationTags;
 
@@ -143,23 +388,196 @@ prototype.convert = function (resourceListing, apiDeclarations) {
       operationTags = [tag.name];
     }
 
-    extend(definitions, this.buildDefinitions(resource.models));
-    extend(paths, this.buildPaths(resource, operationTags));
+    this.declarationPath = this.declarationPaths[index];
+    this.swaggerVersion = String(
+      resource.swaggerVersion || resourceListing.swaggerVersion,
+    );
+    var models = this.buildDefinitions(resource.models, '/models');
+    resourcePaths[index] = this.buildPaths(resource, operationTags);
+
+    var renames = this.mergeDefinitions(
+      definitions,
+      models,
+      isValue(tag) ? tag.name : this.declarationPath,
+    );
+    if (!isEmpty(renames)) {
+      renameReferences(resourcePaths[index], renames);
+    }
+  });
+  this.declarationPath = null;
+  this.swaggerVersion = null;
+
+  //Paths collide only inside the same document, so with 'splitByBasePath'
+  //every group is merged separately
+  var groups;
+  if (this.options.splitByBasePath === true) {
+    groups = this.groupByBasePath(resourceListing, resources);
+    this.forEach(groups, function (group) {
+      group.paths = this.mergePaths(resourcePaths, group.indexes);
+    });
+  } else {
+    paths = this.mergePaths(
+      resourcePaths,
+      this.mapEach(resourcePaths, function (resourcePath, index) {
+        return index;
+      }),
+    );
+  }
+  this.operationIds = this.assignOperationIds(this.operationEntries);
+
+  //Operations are passed to plugins when their final operationIds are known
+  this.forEach(this.operationEntries, function (entry) {
+    this.declarationPath = entry.declarationPath;
+    entry.operation = this.runHooks(
+      'onOperation',
+      entry.oldOperation,
+      entry.operation,
+      entry.pointer,
+      { path: entry.path, method: entry.method },
+    );
+    entry.pathItem[entry.method] = entry.operation;
+  });
+  this.declarationPath = null;
+
+  if (this.options.splitByBasePath !== true) {
+    return this.buildDocument(
+      resourceListing,
+      this.aggregatePathComponents(resourceListing, apiDeclarations),
+      {
+        tags: tags,
+        paths: paths,
+        securityDefinitions: securityDefinitions,
+        definitions: definitions,
+      },
+    );
+  }
+
+  var documents = {};
+  this.forEach(groups, function (group, baseUrl) {
+    var groupTags = [];
+    var groupPaths = group.paths;
+
+    this.forEach(group.indexes, function (index) {
+      if (isValue(tags[index])) {
+        groupTags.push(tags[index]);
+      }
+    });
+
+    documents[baseUrl] = this.buildDocument(
+      resourceListing,
+      group.pathComponents,
+      {
+        tags: groupTags,
+        paths: groupPaths,
+        securityDefinitions: pickSecurityDefinitions(
+          securityDefinitions,
+          groupPaths,
+        ),
+        definitions: pickDefinitions(definitions, groupPaths),
+      },
+    );
   });
+  return documents;
+};
 
-  return extend(
+/*
+ * Assemble Swagger 2.0 document from converted parts
+ * @param resourceListing {object} - root of Swagger 1.x document
+ * @param pathComponents {object} - Swagger 2.0 path components
+ * @param parts {object} - tags, paths, securityDefinitions and definitions
+ * @returns {object} - Swagger 2.0 document
+ */
+prototype.buildDocument = function (resourceListing, pathComponents, parts) {
+  var document = extend(
     {},
-    this.aggregatePathComponents(resourceListing, apiDeclarations),
+    pathComponents,
+    this.getExtensions(resourceListing, ''),
     {
       swagger: '2.0',
       info: this.buildInfo(resourceListing),
       //Order of tags depend on order of 'resourceListing.apis', so sort it
-      tags: undefinedIfEmpty(sortBy(tags, 'name')),
-      paths: undefinedIfEmpty(paths),
-      securityDefinitions: undefinedIfEmpty(securityDefinitions),
-      definitions: undefinedIfEmpty(definitions),
+      tags: undefinedIfEmpty(sortBy(parts.tags.slice(), 'name')),
+      paths: undefinedIfEmpty(parts.paths),
+      securityDefinitions: undefinedIfEmpty(parts.securityDefinitions),
+      definitions: undefinedIfEmpty(parts.definitions),
     },
   );
+
+  if (this.options.normalizeMediaTypes === true) {
+    this.hoistMediaTypes(document);
+  }
+  if (this.options.hoistComponents === true) {
+    this.hoistComponents(document);
+  }
+
+  document = this.runHooks('onDocument', resourceListing, document, '');
+  return this.buildTarget(document);
+};
+
+/*
+ * Move parameters and responses repeated in at least 'hoistThreshold'(2 by
+ * default) places into top-level 'parameters' and 'responses' and replace
+ * every copy with '$ref'. Names are built from parameter name or response
+ * description in order of the first occurrence.
+ * @param document {object} - Swagger 2.0 document
+ */
+prototype.hoistComponents = function (document) {
+  var threshold = this.options.hoistThreshold || 2;
+  var parameters = [];
+  var responses = [];
+
+  this.forEach(document.paths, function (path) {
+    this.forEach(path, function (operation, method) {
+      if (METHODS.indexOf(method) === -1) {
+        return;
+      }
+
+      this.forEach(operation.parameters, function (parameter, index) {
+        addOccurrence(parameters, operation.parameters, index);
+      });
+      this.forEach(operation.responses, function (response, code) {
+        addOccurrence(responses, operation.responses, code);
+      });
+    });
+  });
+
+  extend(document, {
+    parameters: undefinedIfEmpty(
+      hoistOccurrences(parameters, 'parameters', threshold, function (node) {
+        return toIdentifier(node.name) || 'parameter';
+      }),
+    ),
+    responses: undefinedIfEmpty(
+      hoistOccurrences(responses, 'responses', threshold, function (node) {
+        return toIdentifier(node.description) || 'response';
+      }),
+    ),
+  });
+};
+
+/*
+ * Converts Swagger 2.0 document into format requested by 'target' option
+ * @param swagger {object} - Swagger 2.0 document
+ * @returns {object} - document in target format
+ */
+prototype.buildTarget = function (swagger) {
+  var version = TARGETS[this.options.target || 'swagger-2.0'];
+  if (version === '2.0') {
+    return swagger;
+  }
+
+  var origins = this.origins;
+  return convertToOpenApi3(swagger, {
+    version: version,
+    securityNamesMap: this.securityNamesMap,
+    normalizeExtensions: this.options.normalizeExtensions,
+    track: function (node, oldNode) {
+      if (isValue(origins) && origins.has(oldNode) && !origins.has(node)) {
+        origins.set(node, origins.get(oldNode));
+      }
+      return node;
+    },
+  });
 };
 
 /*
@@ -171,6 +589,9 @@ prototype.convert = function (resourceListing, apiDeclarations) {
 Converter.prototype.getResources = function (resourceListing, apiDeclarations) {
   var resources = [];
   var embedded = false;
+
+  //Paths of apiDeclarations, used to report location of warnings
+  this.declarationPaths = [];
   this.forEach(resourceListing.apis, function (resource) {
     var path = resource.path;
 
@@ -192,9 +613,11 @@ Converter.prototype.getResources = function (resourceListing, apiDeclarations) {
       );
     }
     resources.push(resource);
+    this.declarationPaths.push(path);
   });
 
   if (embedded) {
+    this.declarationPaths = [null];
     return [resourceListing];
   }
   return resources;
@@ -235,23 +658,44 @@ Converter.prototype.buildTags = function (resourceListing, resources) {
       return;
     }
 
-    var tagName = URI(resourcePaths[index] || '')
-      .path(true)
-      .replace('{format}', 'json')
+    //Tag doesn't depend on 'formatPlaceholder' option, so it's always stripped
+    var tagName = replaceFormatPlaceholder(
+      URI(resourcePaths[index] || '').path(true),
+      'strip',
+    )
       .replace(/\/$/, '')
       .replace(/.json$/, '');
 
+    //Tag stands for both resourceListing entry and its apiDeclaration, so
+    //it gets extensions of both
+    var extensions = this.getExtensions(
+      resource,
+      appendPointer('', 'apis', index),
+    );
+    this.declarationPath = this.declarationPaths[index];
+    extend(extensions, this.getExtensions(resources[index], ''));
+
     if (!isValue(tagName)) {
+      if (!isEmpty(extensions)) {
+        this.warn(
+          'EXTENSION_DROPPED',
+          'Resource has no tag to keep its extensions: ' +
+            Object.keys(extensions).join(', '),
+          '',
+        );
+      }
+      this.declarationPath = null;
       return;
     }
+    this.declarationPath = null;
 
     tags.push(
-      extend(
-        {},
-        {
+      this.trace(
+        extend({}, extensions, {
           name: tagName,
           description: resource.description,
-        },
+        }),
+        appendPointer('', 'apis', index),
       ),
     );
   });
@@ -288,13 +732,16 @@ prototype.buildInfo = function (resourceListing) {
     );
   }
 
-  return extend(info, {
-    title: oldInfo.title,
-    description: oldInfo.description,
-    contact: undefinedIfEmpty(contact),
-    license: undefinedIfEmpty(license),
-    termsOfService: oldInfo.termsOfServiceUrl,
-  });
+  return this.trace(
+    extend(info, this.getExtensions(oldInfo, '/info'), {
+      title: oldInfo.title,
+      description: oldInfo.description,
+      contact: undefinedIfEmpty(contact),
+      license: undefinedIfEmpty(license),
+      termsOfService: oldInfo.termsOfServiceUrl,
+    }),
+    '/info',
+  );
 };
 
 /*
@@ -308,18 +755,12 @@ prototype.aggregatePathComponents = function (
   resourceListing,
   apiDeclarations,
 ) {
-  var path = extend({}, this.buildPathComponents(resourceListing.basePath));
-
   var globalBasePath;
   this.forEach(apiDeclarations, function (api) {
-    var basePath = api.basePath;
-    //Test if basePath is relative(start with '.' or '..').
-    if (/^\.\.?(\/|$)/.test(basePath)) {
-      basePath = URI(basePath).absoluteTo(path.basePath).path(true);
-    }
+    var basePath = this.resolveBasePath(resourceListing, api.basePath);
 
-    //TODO: Swagger 1.x support per resource 'basePath', but Swagger 2.0 doesn't
-    // solution could be to create separate spec per each 'basePath'.
+    //Swagger 1.x support per resource 'basePath', but Swagger 2.0 doesn't.
+    //Use 'splitByBasePath' option to create separate spec per each 'basePath'.
     if (isValue(globalBasePath) && basePath !== globalBasePath) {
       throw new SwaggerConverterError(
         'Resources can not override each other basePaths',
@@ -328,7 +769,55 @@ prototype.aggregatePathComponents = function (
     globalBasePath = basePath;
   });
 
-  return extend(path, this.buildPathComponents(globalBasePath));
+  return extend(
+    {},
+    this.buildPathComponents(resourceListing.basePath),
+    this.buildPathComponents(globalBasePath),
+  );
+};
+
+/*
+ * Group resources by path components they resolve to.
+ * @param resourceListing {object} - root of Swagger 1.x document
+ * @param resources {array} - list of resources
+ * @returns {object} - map of base URLs to groups, every group has
+ *  'pathComponents' and 'indexes' of its resources
+ */
+prototype.groupByBasePath = function (resourceListing, resources) {
+  var groups = {};
+
+  this.forEach(resources, function (resource, index) {
+    var pathComponents = extend(
+      {},
+      this.buildPathComponents(resourceListing.basePath),
+      this.buildPathComponents(
+        this.resolveBasePath(resourceListing, resource.basePath),
+      ),
+    );
+
+    var baseUrl = formatBaseUrl(pathComponents);
+    if (!isValue(groups[baseUrl])) {
+      groups[baseUrl] = { pathComponents: pathComponents, indexes: [] };
+    }
+    groups[baseUrl].indexes.push(index);
+  });
+
+  return groups;
+};
+
+/*
+ * Resolve relative apiDeclaration basePath against resourceListing basePath.
+ * @param resourceListing {object} - root of Swagger 1.x document
+ * @param basePath {string} - the base path from Swagger 1.x apiDeclaration
+ * @returns {string} - resolved base path
+ */
+prototype.resolveBasePath = function (resourceListing, basePath) {
+  //Test if basePath is relative(start with '.' or '..').
+  if (/^\.\.?(\/|$)/.test(basePath)) {
+    var listingPath = this.buildPathComponents(resourceListing.basePath);
+    basePath = URI(basePath).absoluteTo(listingPath.basePath).path(true);
+  }
+  return basePath;
 };
 
 /*
@@ -358,11 +847,13 @@ prototype.buildPathComponents = function (basePath) {
  * Builds a Swagger 2.0 type properties from a Swagger 1.x type properties
  *
  * @param oldDataType {object} - Swagger 1.x type object
+ * @param allowRef {boolean} - allow references to models
+ * @param pointer {string} - JSON pointer to the type inside apiDeclaration
  *
  * @returns {object} - Swagger 2.0 equivalent
  * @throws {SwaggerConverterError}
  */
-prototype.buildTypeProperties = function (oldType, allowRef) {
+prototype.buildTypeProperties = function (oldType, allowRef, pointer) {
   if (!oldType) {
     return {};
   }
@@ -421,7 +912,11 @@ prototype.buildTypeProperties = function (oldType, allowRef) {
       var valueType = items.slice(commaIndex + 1);
       if (keyType.toLowerCase() === 'string') {
         return {
-          additionalProperties: this.buildTypeProperties(valueType, allowRef),
+          additionalProperties: this.buildTypeProperties(
+            valueType,
+            allowRef,
+            pointer,
+          ),
         };
       }
     } else if (collection === '') {
@@ -429,12 +924,12 @@ prototype.buildTypeProperties = function (oldType, allowRef) {
       //see https://github.com/apigee-127/swagger-converter/pull/83
       return {
         type: 'array',
-        items: this.buildTypeProperties(items, allowRef),
+        items: this.buildTypeProperties(items, allowRef, pointer),
       };
     } else {
       type = typeMap[collection];
       if (isValue(type)) {
-        type.items = this.buildTypeProperties(items, allowRef);
+        type.items = this.buildTypeProperties(items, allowRef, pointer);
         return type;
       }
     }
@@ -442,7 +937,11 @@ prototype.buildTypeProperties = function (oldType, allowRef) {
 
   //At this point we know that it not standard type, but at the same time we
   //can't find such user type. To proceed further we just add it as is.
-  //TODO: add warning
+  this.warn(
+    'UNKNOWN_TYPE',
+    'Type "' + oldType + '" is neither standard type nor declared model',
+    pointer,
+  );
   return allowRef ? { $ref: '#/definitions/' + oldType } : { type: oldType };
 };
 
@@ -453,113 +952,763 @@ prototype.buildTypeProperties = function (oldType, allowRef) {
  *  1.x.md#433-data-type-fields}
  *
  * @param oldDataType {object} - Swagger 1.x data type object
+ * @param allowRef {boolean} - allow references to models
+ * @param pointer {string} - JSON pointer to the data type inside apiDeclaration
  *
  * @returns {object} - Swagger 2.0 equivalent
  */
-prototype.buildDataType = function (oldDataType, allowRef) {
+prototype.buildDataType = function (oldDataType, allowRef, pointer) {
   if (!oldDataType) {
     return {};
   }
   assert(typeof oldDataType === 'object');
   assert(typeof allowRef === 'boolean');
 
-  var oldTypeName =
-    oldDataType.type ||
-    oldDataType.dataType ||
-    oldDataType.responseClass ||
-    oldDataType.$ref;
-
-  var result = this.buildTypeProperties(oldTypeName, allowRef);
+  var typeField = ['type', 'dataType', 'responseClass', '$ref'].find(function (
+    field,
+  ) {
+    return oldDataType[field];
+  });
+  var result = this.buildTypeProperties(
+    oldDataType[typeField],
+    allowRef,
+    appendPointer(pointer, typeField),
+  );
 
   var oldItems = oldDataType.items;
   if (isValue(oldItems)) {
     if (typeof oldItems === 'string') {
       oldItems = { type: oldItems };
     }
-    oldItems = this.buildDataType(oldItems, allowRef);
+    oldItems = this.buildDataType(
+      oldItems,
+      allowRef,
+      appendPointer(pointer, 'items'),
+    );
   }
 
-  //TODO: handle '0' in default
-  var defaultValue = oldDataType.default || oldDataType.defaultValue;
-  if (result.type !== 'string') {
-    defaultValue = fixNonStringValue(defaultValue, true);
+  var keywords = {};
+  this.forEach(VALIDATION_KEYWORDS, function (types, keyword) {
+    keywords[keyword] = this.buildKeyword(oldDataType, keyword, types, pointer);
+  });
+
+  //References are allowed only in schemas, so 'allowRef' also tells schema
+  //from non-body parameter which doesn't accept schema-only keywords
+  if (allowRef) {
+    this.forEach(SCHEMA_KEYWORDS, function (types, keyword) {
+      keywords[keyword] = this.buildKeyword(
+        oldDataType,
+        keyword,
+        types,
+        pointer,
+      );
+    });
+    extend(keywords, {
+      title: oldDataType.title,
+      example: oldDataType.example,
+    });
   }
 
-  //TODO: support 'allowableValues' from 1.1 spec
+  //JSON Schema Draft-6 style numeric exclusive limit is a limit by itself,
+  //if inclusive limit is set too the stricter of them is kept
+  this.forEach(['Minimum', 'Maximum'], function (limit) {
+    var exclusive = 'exclusive' + limit;
+    var inclusive = limit.toLowerCase();
+    var value = keywords[exclusive];
+    if (typeof value !== 'number') {
+      return;
+    }
+
+    var current = keywords[inclusive];
+    var stricter =
+      !isValue(current) ||
+      (limit === 'Minimum' ? value >= current : value <= current);
+    keywords[inclusive] = stricter ? value : current;
+    keywords[exclusive] = stricter ? true : undefined;
+  });
 
-  extend(result, {
+  extend(result, keywords, {
     format: oldDataType.format,
     items: oldItems,
-    uniqueItems: fixNonStringValue(oldDataType.uniqueItems),
-    minimum: fixNonStringValue(oldDataType.minimum),
-    maximum: fixNonStringValue(oldDataType.maximum),
-    maxItems: fixNonStringValue(oldDataType.maxItems),
-    minItems: fixNonStringValue(oldDataType.minItems),
-    default: defaultValue,
-    enum: oldDataType.enum,
+    pattern: oldDataType.pattern,
   });
 
   if (result.type === 'array' && !isValue(result.items)) {
     result.items = {};
   }
+  this.trace(result, pointer);
+
+  //In 1.1 spec 'allowableValues' of collections restrict their items, 'enum'
+  //members are coerced the same way
+  var restricted = result.type === 'array' ? result.items : result;
+  extend(result, {
+    default: this.buildDefault(oldDataType, result, pointer),
+    enum: this.buildEnum(oldDataType.enum, restricted.type, pointer),
+  });
+
+  var allowableValues = this.buildAllowableValues(
+    oldDataType.allowableValues,
+    restricted.type,
+    appendPointer(pointer, 'allowableValues'),
+  );
+  this.forEach(allowableValues, function (value, key) {
+    if (!isValue(restricted[key])) {
+      restricted[key] = value;
+    }
+  });
 
   return result;
 };
 
 /*
- * Builds a Swagger 2.0 paths object form a Swagger 1.x path object
- * @param apiDeclaration {object} - Swagger 1.x apiDeclaration
- * @param tag {array} - array of Swagger 2.0 tag names
- * @returns {object} - Swagger 2.0 path object
+ * Parse validation keyword of Swagger 1.x data type, values which can't be
+ * parsed or have wrong type are reported and dropped
+ * @param oldDataType {object} - Swagger 1.x data type object
+ * @param keyword {string} - name of the keyword
+ * @param types {array} - JavaScript types keyword value can have
+ * @param pointer {string} - JSON pointer to the data type inside apiDeclaration
+ * @returns {*} - keyword value or undefined
  */
-prototype.buildPaths = function (apiDeclaration, tags) {
-  var paths = {};
-
-  var operationDefaults = {
-    produces: apiDeclaration.produces,
-    consumes: apiDeclaration.consumes,
-    tags: tags,
-    security: undefinedIfEmpty(
-      this.buildSecurity(apiDeclaration.authorizations),
-    ),
-  };
+prototype.buildKeyword = function (oldDataType, keyword, types, pointer) {
+  var value = oldDataType[keyword];
+  var parsed = fixNonStringValue(value);
+  if (!isValue(value) || value === '' || types.indexOf(typeof parsed) !== -1) {
+    return parsed;
+  }
 
-  this.forEach(apiDeclaration.apis, function (api) {
-    if (!isValue(api.operations)) {
-      return;
-    }
+  this.warn(
+    'INVALID_KEYWORD',
+    'Value ' +
+      JSON.stringify(value) +
+      ' of "' +
+      keyword +
+      '" can not be parsed and was dropped',
+    appendPointer(pointer, keyword),
+  );
+  return undefined;
+};
 
-    var pathString = URI(api.path).absoluteTo('/').path(true);
-    pathString = pathString.replace('{format}', 'json');
+/*
+ * Parse boolean or JSON property of Swagger 1.x object which may be a string,
+ * values which can't be parsed are reported and dropped
+ * @param object {object} - Swagger 1.x object
+ * @param property {string} - name of the property
+ * @param pointer {string} - JSON pointer to the object inside apiDeclaration
+ * @returns {*} - parsed value or undefined
+ */
+prototype.parseProperty = function (object, property, pointer) {
+  var value = object[property];
+  var parsed = fixNonStringValue(value);
+  if (isValue(parsed) || !isValue(value) || value === '') {
+    return parsed;
+  }
 
-    if (!isValue(paths[pathString])) {
-      paths[pathString] = {};
-    }
-    var path = paths[pathString];
+  this.warn(
+    'INVALID_VALUE',
+    'Value ' +
+      JSON.stringify(value) +
+      ' of "' +
+      property +
+      '" can not be parsed and was dropped',
+    appendPointer(pointer, property),
+  );
+  return undefined;
+};
 
-    this.forEach(api.operations, function (oldOperation) {
-      var method = oldOperation.method || oldOperation.httpMethod;
-      method = method.toLowerCase();
-      path[method] = this.buildOperation(oldOperation, operationDefaults);
-    });
-  });
+/*
+ * Coerce Swagger 1.x 'default' or 'defaultValue' to the type of Swagger 2.0
+ * data type, values which can't be coerced are reported and dropped
+ * @param oldDataType {object} - Swagger 1.x data type object
+ * @param dataType {object} - converted Swagger 2.0 data type
+ * @param pointer {string} - JSON pointer to the data type inside apiDeclaration
+ * @returns {*} - coerced value or undefined
+ */
+prototype.buildDefault = function (oldDataType, dataType, pointer) {
+  //Check for presence, so '0' and 'false' defaults are kept
+  var field = isValue(oldDataType.default) ? 'default' : 'defaultValue';
+  var value = oldDataType[field];
+  if (!isValue(value)) {
+    return undefined;
+  }
 
-  return paths;
+  var coerced = coerceTypedValue(value, dataType);
+  if (!isValue(coerced)) {
+    this.warn(
+      'INVALID_DEFAULT',
+      'Default value ' +
+        JSON.stringify(value) +
+        ' can not be parsed and was dropped',
+      appendPointer(pointer, field),
+    );
+  }
+  return coerced;
 };
 
 /*
- * Builds a Swagger 2.0 security object form a Swagger 1.x authorizations object
- * @param oldAuthorizations {object} - Swagger 1.x authorizations object
- * @returns {object} - Swagger 2.0 security object
+ * Coerce members of Swagger 1.x 'enum' to the type, members which can't be
+ * coerced are reported and kept as is
+ * @param oldEnum {array} - Swagger 1.x enum
+ * @param type {string} - Swagger 2.0 type, enum of other types is kept as is
+ * @param pointer {string} - JSON pointer to the data type inside apiDeclaration
+ * @returns {array|undefined} - coerced enum
  */
-prototype.buildSecurity = function (oldAuthorizations) {
-  var security = [];
-  this.mapEach(oldAuthorizations, function (oldScopes, oldName) {
-    var names = this.securityNamesMap[oldName];
-    if (isEmpty(names)) {
-      //TODO: add warning
-      names = [oldName];
-    }
+prototype.buildEnum = function (oldEnum, type, pointer) {
+  if (!Array.isArray(oldEnum) || SCALAR_TYPES.indexOf(type) === -1) {
+    return oldEnum;
+  }
+
+  var values = [];
+  this.forEach(oldEnum, function (value, index) {
+    var coerced = coerceValue(value, type);
+    //Values like '1-registered' often document meaning of the value, so
+    //they are kept to not lose it
+    if (!isValue(coerced)) {
+      this.warn(
+        'INVALID_ENUM_VALUE',
+        'Enum value ' +
+          JSON.stringify(value) +
+          ' is not a valid ' +
+          type +
+          ' and was kept as is',
+        appendPointer(pointer, 'enum', index),
+      );
+      coerced = value;
+    }
+    values.push(coerced);
+  });
+  return undefinedIfEmpty(values);
+};
+
+/*
+ * Builds a Swagger 2.0 validation properties from a Swagger 1.1
+ * 'allowableValues' object
+ *
+ * @param oldAllowableValues {object|string} - Swagger 1.1 allowable values,
+ *  either object with 'valueType' or string like 'LIST[a,b]' or 'RANGE[1,10]'
+ * @param type {string} - Swagger 2.0 type to coerce values to
+ * @param pointer {string} - JSON pointer to allowable values inside apiDeclaration
+ *
+ * @returns {object} - 'enum' or 'minimum' and 'maximum' properties
+ */
+prototype.buildAllowableValues = function (oldAllowableValues, type, pointer) {
+  if (!isValue(oldAllowableValues)) {
+    return {};
+  }
+
+  if (typeof oldAllowableValues === 'string') {
+    oldAllowableValues = parseAllowableValues(oldAllowableValues);
+  }
+
+  var valueType = getValue(oldAllowableValues, 'valueType');
+  valueType = isValue(valueType) ? valueType.toUpperCase() : valueType;
+
+  if (valueType === 'LIST' && Array.isArray(oldAllowableValues.values)) {
+    var values = [];
+    this.forEach(oldAllowableValues.values, function (value, index) {
+      var coerced = coerceValue(value, type);
+      if (!isValue(coerced)) {
+        this.warn(
+          'INVALID_ALLOWABLE_VALUE',
+          'Allowable value ' +
+            JSON.stringify(value) +
+            ' is not a valid ' +
+            type +
+            ' and was dropped',
+          appendPointer(pointer, 'values', index),
+        );
+        return;
+      }
+      values.push(coerced);
+    });
+    return extend({}, { enum: undefinedIfEmpty(values) });
+  }
+
+  if (valueType === 'RANGE') {
+    var numericType = type === 'integer' ? 'integer' : 'number';
+    var range = {};
+    this.forEach({ min: 'minimum', max: 'maximum' }, function (keyword, key) {
+      var value = oldAllowableValues[key];
+      var coerced = coerceValue(value, numericType);
+      if (!isValue(coerced) && isValue(value) && !isInfinity(value)) {
+        this.warn(
+          'INVALID_ALLOWABLE_VALUE',
+          'Allowable ' +
+            key +
+            ' value ' +
+            JSON.stringify(value) +
+            ' is not a valid ' +
+            numericType +
+            ' and was dropped',
+          appendPointer(pointer, key),
+        );
+      }
+      range[keyword] = coerced;
+    });
+    return extend({}, range);
+  }
+
+  this.warn(
+    'INVALID_ALLOWABLE_VALUES',
+    'Allowable values ' +
+      JSON.stringify(oldAllowableValues) +
+      ' can not be parsed and were dropped',
+    pointer,
+  );
+  return {};
+};
+
+/*
+ * Builds a Swagger 2.0 paths object form a Swagger 1.x path object
+ * @param apiDeclaration {object} - Swagger 1.x apiDeclaration
+ * @param tag {array} - array of Swagger 2.0 tag names
+ * @returns {object} - Swagger 2.0 path object
+ */
+prototype.buildPaths = function (apiDeclaration, tags) {
+  var paths = {};
+
+  var operationDefaults = {
+    produces: this.buildMediaTypes(apiDeclaration.produces, '/produces'),
+    consumes: this.buildMediaTypes(apiDeclaration.consumes, '/consumes'),
+    tags: tags,
+    security: undefinedIfEmpty(
+      this.buildSecurity(apiDeclaration.authorizations, '/authorizations'),
+    ),
+  };
+
+  this.forEach(apiDeclaration.apis, function (api, apiIndex) {
+    if (!isValue(api.operations)) {
+      return;
+    }
+
+    var pathString = URI(api.path).absoluteTo('/').path(true);
+    var hasFormat = pathString.indexOf('{format}') !== -1;
+    pathString = replaceFormatPlaceholder(
+      pathString,
+      this.options.formatPlaceholder,
+      this.options.formatExtension || 'json',
+    );
+
+    if (!isValue(paths[pathString])) {
+      paths[pathString] = this.trace({}, appendPointer('', 'apis', apiIndex));
+    }
+    var path = paths[pathString];
+    extend(path, this.getExtensions(api, appendPointer('', 'apis', apiIndex)));
+
+    this.forEach(api.operations, function (oldOperation, operationIndex) {
+      var method = oldOperation.method || oldOperation.httpMethod;
+      method = method.toLowerCase();
+      var pointer = appendPointer(
+        '',
+        'apis',
+        apiIndex,
+        'operations',
+        operationIndex,
+      );
+      var operation = this.buildOperation(
+        oldOperation,
+        operationDefaults,
+        pointer,
+      );
+
+      if (isValue(path[method])) {
+        var message =
+          'Operation "' +
+          method.toUpperCase() +
+          ' ' +
+          pathString +
+          '" is already declared';
+
+        switch (this.options.pathCollision) {
+          case 'error':
+          case 'merge':
+            throw new SwaggerConverterError(message);
+
+          case 'keep-first':
+            this.warn(
+              'PATH_COLLISION',
+              message + ', operation was dropped',
+              pointer,
+            );
+            return;
+
+          default:
+            this.warn(
+              'PATH_COLLISION',
+              message + ', it was overridden',
+              pointer,
+            );
+            this.dropOperations([path[method]]);
+        }
+      }
+
+      if (hasFormat) {
+        this.buildFormatPlaceholder(operation, pointer);
+      }
+      if (this.options.repairPathParameters !== false) {
+        this.repairPathParameters(operation, oldOperation, pathString, pointer);
+      }
+
+      path[method] = operation;
+      this.operationEntries.push({
+        oldOperation: oldOperation,
+        operation: operation,
+        pathItem: path,
+        nickname: oldOperation.nickname,
+        method: method,
+        path: pathString,
+        declarationPath: this.declarationPath,
+        pointer: pointer,
+      });
+    });
+  });
+
+  return paths;
+};
+
+/*
+ * Adjust operation of path with '{format}' placeholder according to
+ * 'formatPlaceholder' option:
+ *  - 'substitute' keeps only 'produces' media types matching the extension
+ *  - 'parameter' declares 'format' path parameter with extensions of
+ *    'produces' media types as 'enum'
+ *  - 'strip' and default leave operation as is
+ * With 'normalizeMediaTypes' option operation without 'produces' in
+ * 'substitute' and default mode gets media type of the extension, e.g.
+ * 'application/xml' for 'xml'.
+ * @param operation {object} - Swagger 2.0 operation, modified in place
+ * @param pointer {string} - JSON pointer to operation inside apiDeclaration
+ */
+prototype.buildFormatPlaceholder = function (operation, pointer) {
+  var produces = operation.produces || [];
+  var mode = this.options.formatPlaceholder;
+  var extension = this.options.formatExtension || 'json';
+
+  if (
+    this.options.normalizeMediaTypes === true &&
+    isEmpty(produces) &&
+    ['parameter', 'strip'].indexOf(mode) === -1
+  ) {
+    if (isValue(MEDIA_TYPE_ALIASES[extension])) {
+      operation.produces = [MEDIA_TYPE_ALIASES[extension]];
+    }
+    return;
+  }
+
+  if (mode === 'substitute') {
+    if (isEmpty(produces)) {
+      return;
+    }
+
+    var matching = produces.filter(function (mediaType) {
+      return getMediaTypeExtension(mediaType) === extension;
+    });
+    if (isEmpty(matching)) {
+      this.warn(
+        'FORMAT_PLACEHOLDER',
+        'None of produces media types matches "' +
+          extension +
+          '" extension, they are kept as is',
+        appendPointer(pointer, 'produces'),
+      );
+      return;
+    }
+    operation.produces = matching;
+    return;
+  }
+
+  if (mode !== 'parameter') {
+    return;
+  }
+
+  var declared = (operation.parameters || []).some(function (parameter) {
+    return parameter.in === 'path' && parameter.name === 'format';
+  });
+  if (declared) {
+    return;
+  }
+
+  var parameter = extend(
+    {},
+    {
+      name: 'format',
+      in: 'path',
+      required: true,
+      type: 'string',
+      enum: undefinedIfEmpty(
+        removeDuplicates(produces.map(getMediaTypeExtension)),
+      ),
+    },
+  );
+  operation.parameters = (operation.parameters || []).concat(
+    this.trace(parameter, pointer),
+  );
+};
+
+/*
+ * Make path parameters of operation match templates of its path, every fix
+ * is reported as 'PATH_PARAMETER' warning:
+ *  - parameter which differs from template only by case is renamed
+ *  - parameter without template becomes query parameter, or dropped if
+ *    operation already has query parameter with the same name
+ *  - template without parameter gets required string parameter
+ * @param operation {object} - Swagger 2.0 operation, modified in place
+ * @param oldOperation {object} - Swagger 1.x operation object
+ * @param pathString {string} - Swagger 2.0 path of operation
+ * @param pointer {string} - JSON pointer to operation inside apiDeclaration
+ */
+prototype.repairPathParameters = function (
+  operation,
+  oldOperation,
+  pathString,
+  pointer,
+) {
+  var templates = (pathString.match(/{[^}]+}/g) || []).map(function (name) {
+    return name.slice(1, -1);
+  });
+  var parameters = operation.parameters || [];
+  var declared = [];
+  var changed = false;
+
+  function hasQueryParameter(name) {
+    return parameters.some(function (parameter) {
+      return parameter.in === 'query' && parameter.name === name;
+    });
+  }
+
+  var repaired = [];
+  this.forEach(parameters, function (parameter) {
+    if (parameter.in !== 'path' || templates.indexOf(parameter.name) !== -1) {
+      declared.push(parameter.name);
+      repaired.push(parameter);
+      return;
+    }
+
+    //Parameters synthesized by converter have no Swagger 1.x origin
+    var index = this.parameterIndexes.get(parameter);
+    var parameterPointer = isValue(index)
+      ? appendPointer(pointer, 'parameters', index)
+      : pointer;
+    var template = templates.find(function (name) {
+      return (
+        declared.indexOf(name) === -1 &&
+        name.toLowerCase() === String(parameter.name).toLowerCase()
+      );
+    });
+    if (isValue(template)) {
+      this.warn(
+        'PATH_PARAMETER',
+        'Path parameter "' +
+          parameter.name +
+          '" was renamed to "' +
+          template +
+          '" to match "' +
+          pathString +
+          '"',
+        parameterPointer,
+      );
+      declared.push(template);
+      changed = true;
+      repaired.push(
+        this.trace(extend({}, parameter, { name: template }), parameterPointer),
+      );
+      return;
+    }
+
+    if (hasQueryParameter(parameter.name)) {
+      this.warn(
+        'PATH_PARAMETER',
+        'Path parameter "' +
+          parameter.name +
+          '" is not used in "' +
+          pathString +
+          '" and was dropped',
+        parameterPointer,
+      );
+      return;
+    }
+
+    this.warn(
+      'PATH_PARAMETER',
+      'Path parameter "' +
+        parameter.name +
+        '" is not used in "' +
+        pathString +
+        '" and became query parameter',
+      parameterPointer,
+    );
+    var oldParameter = isValue(index) ? oldOperation.parameters[index] : {};
+    changed = true;
+    repaired.push(
+      this.trace(
+        extend({}, parameter, {
+          in: 'query',
+          required: fixNonStringValue(oldParameter.required) === true,
+        }),
+        parameterPointer,
+      ),
+    );
+  });
+
+  this.forEach(templates, function (name) {
+    if (declared.indexOf(name) !== -1) {
+      return;
+    }
+    this.warn(
+      'PATH_PARAMETER',
+      'Path parameter "' +
+        name +
+        '" is not declared for "' +
+        pathString +
+        '", it was added as string',
+      pointer,
+    );
+    declared.push(name);
+    repaired.push(
+      this.trace(
+        { name: name, in: 'path', required: true, type: 'string' },
+        pointer,
+      ),
+    );
+  });
+
+  if (repaired.length !== parameters.length || changed) {
+    operation.parameters = repaired;
+  }
+};
+
+/*
+ * Merge paths of several resources resolving collisions according to
+ * 'pathCollision' option:
+ *  - by default or with 'keep-last' later path item overrides earlier one
+ *  - 'error' throws on any collision
+ *  - 'merge' combines operations of both path items and throws if the same
+ *    operation is declared twice
+ *  - 'keep-first' keeps earlier path item
+ * Operations declared twice inside one apiDeclaration are resolved by
+ * 'buildPaths' the same way.
+ * @param resourcePaths {array} - Swagger 2.0 paths of every resource
+ * @param indexes {array} - indexes of resources to merge
+ * @returns {object} - merged Swagger 2.0 paths
+ * @throws {SwaggerConverterError}
+ */
+prototype.mergePaths = function (resourcePaths, indexes) {
+  var policy = this.options.pathCollision;
+  var paths = {};
+  var origins = {};
+
+  this.forEach(indexes, function (index) {
+    this.declarationPath = this.declarationPaths[index];
+
+    this.forEach(resourcePaths[index], function (path, pathString) {
+      var existing = paths[pathString];
+      if (!isValue(existing)) {
+        paths[pathString] = path;
+        origins[pathString] = this.declarationPath;
+        return;
+      }
+
+      var origin = origins[pathString];
+      var message =
+        'Path "' +
+        pathString +
+        '" is already declared' +
+        (isValue(origin) ? ' in "' + origin + '"' : '');
+      var pointer = this.getPathPointer(path);
+
+      switch (policy) {
+        case 'error':
+          throw new SwaggerConverterError(message);
+
+        case 'merge':
+          this.forEach(path, function (operation, method) {
+            //Extensions of the first path item win
+            if (METHODS.indexOf(method) === -1) {
+              if (!isValue(existing[method])) {
+                existing[method] = operation;
+              }
+              return;
+            }
+            if (isValue(existing[method])) {
+              throw new SwaggerConverterError(
+                'Operation "' +
+                  method.toUpperCase() +
+                  ' ' +
+                  pathString +
+                  '" is already declared' +
+                  (isValue(origin) ? ' in "' + origin + '"' : ''),
+              );
+            }
+            existing[method] = operation;
+          });
+          this.forEach(this.operationEntries, function (entry) {
+            if (entry.pathItem === path) {
+              entry.pathItem = existing;
+            }
+          });
+          return;
+
+        case 'keep-first':
+          this.warn('PATH_COLLISION', message + ', path was dropped', pointer);
+          this.dropOperations(path);
+          return;
+
+        default:
+          this.warn('PATH_COLLISION', message + ', it was overridden', pointer);
+          this.dropOperations(existing);
+          paths[pathString] = path;
+          origins[pathString] = this.declarationPath;
+      }
+    });
+  });
+
+  this.declarationPath = null;
+  return paths;
+};
+
+/*
+ * Get JSON pointer to Swagger 1.x api the path item was converted from
+ * @param path {object} - Swagger 2.0 path item
+ * @returns {string} - JSON pointer inside apiDeclaration
+ */
+prototype.getPathPointer = function (path) {
+  var entry = this.operationEntries.find(function (entry) {
+    return path[entry.method] === entry.operation;
+  });
+  return isValue(entry) ? entry.pointer.replace(/\/operations\/\d+$/, '') : '';
+};
+
+/*
+ * Forget operations dropped because of collisions, so they don't get
+ * operationIds
+ * @param operations {object} - dropped Swagger 2.0 operations
+ */
+prototype.dropOperations = function (operations) {
+  var dropped = this.mapEach(operations, function (operation) {
+    return operation;
+  });
+  this.operationEntries = this.operationEntries.filter(function (entry) {
+    return dropped.indexOf(entry.operation) === -1;
+  });
+};
+
+/*
+ * Builds a Swagger 2.0 security object form a Swagger 1.x authorizations object
+ * @param oldAuthorizations {object} - Swagger 1.x authorizations object
+ * @param pointer {string} - JSON pointer to authorizations inside apiDeclaration
+ * @returns {object} - Swagger 2.0 security object
+ */
+prototype.buildSecurity = function (oldAuthorizations, pointer) {
+  var security = [];
+  this.mapEach(oldAuthorizations, function (oldScopes, oldName) {
+    var names = this.securityNamesMap[oldName];
+    if (isEmpty(names)) {
+      this.warn(
+        'UNKNOWN_AUTHORIZATION',
+        'Authorization "' + oldName + '" is not declared in resourceListing',
+        appendPointer(pointer, oldName),
+      );
+      names = [oldName];
+    }
 
     this.forEach(names, function (name) {
       var requirement = {};
@@ -576,64 +1725,395 @@ prototype.buildSecurity = function (oldAuthorizations) {
  * Builds a Swagger 2.0 operation object form a Swagger 1.x operation object
  * @param oldOperation {object} - Swagger 1.x operation object
  * @param operationDefaults {object} - defaults from containing apiDeclaration
+ * @param pointer {string} - JSON pointer to operation inside apiDeclaration
  * @returns {object} - Swagger 2.0 operation object
  */
-prototype.buildOperation = function (oldOperation, operationDefaults) {
+prototype.buildOperation = function (oldOperation, operationDefaults, pointer) {
   var parameters = [];
 
-  this.forEach(oldOperation.parameters, function (oldParameter) {
-    parameters.push(this.buildParameter(oldParameter));
+  this.forEach(oldOperation.parameters, function (oldParameter, index) {
+    var parameterPointer = appendPointer(pointer, 'parameters', index);
+    var parameter = this.runHooks(
+      'onParameter',
+      oldParameter,
+      this.buildParameter(oldParameter, parameterPointer),
+      parameterPointer,
+    );
+    this.parameterIndexes.set(parameter, index);
+    parameters.push(parameter);
   });
 
+  parameters = this.resolveBodyParameters(parameters, pointer);
+
   /*
    * Merges the tags from the resourceListing and the ones specified in the apiDeclaration.
    */
   var tags = (operationDefaults.tags || []).concat(oldOperation.tags || []);
   tags = removeDuplicates(tags);
 
-  var customProperties = getCustomProperties(oldOperation);
+  var customProperties = this.getExtensions(oldOperation, pointer);
 
-  return extend({}, operationDefaults, customProperties, {
+  var consumes = this.buildMediaTypes(
+    oldOperation.consumes,
+    appendPointer(pointer, 'consumes'),
+  );
+  if (this.options.normalizeMediaTypes === true) {
+    consumes = this.inferConsumes(
+      parameters,
+      consumes || operationDefaults.consumes,
+      pointer,
+    );
+  } else {
+    //Swagger 2.0 accepts files only in multipart or urlencoded form
+    var hasFile = parameters.some(function (parameter) {
+      return parameter.type === 'file';
+    });
+    if (hasFile && !isValue(consumes) && !isValue(operationDefaults.consumes)) {
+      consumes = ['multipart/form-data'];
+    }
+  }
+
+  var operation = extend({}, operationDefaults, customProperties, {
     operationId: oldOperation.nickname,
     summary: oldOperation.summary,
     description: oldOperation.description || oldOperation.notes,
     tags: undefinedIfEmpty(tags),
-    deprecated: fixNonStringValue(oldOperation.deprecated),
-    produces: oldOperation.produces,
-    consumes: oldOperation.consumes,
+    deprecated: this.parseProperty(oldOperation, 'deprecated', pointer),
+    produces: this.buildMediaTypes(
+      oldOperation.produces,
+      appendPointer(pointer, 'produces'),
+    ),
+    consumes: consumes,
     parameters: undefinedIfEmpty(parameters),
-    responses: this.buildResponses(oldOperation),
-    security: undefinedIfEmpty(this.buildSecurity(oldOperation.authorizations)),
+    responses: this.buildResponses(oldOperation, pointer),
+    security: undefinedIfEmpty(
+      this.buildSecurity(
+        oldOperation.authorizations,
+        appendPointer(pointer, 'authorizations'),
+      ),
+    ),
   });
+  return this.trace(operation, pointer);
 };
 
 /*
- * Builds a Swagger 2.0 responses object form a Swagger 1.x responseMessages object
- * @param oldOperation {object} - Swagger 1.x operation object
- * @returns {object} - Swagger 2.0 response object
+ * Builds Swagger 2.0 list of media types from Swagger 1.x 'consumes' or
+ * 'produces'. Without 'normalizeMediaTypes' option it's copied as is,
+ * otherwise every media type is canonicalized(e.g. 'json' and
+ * 'text/json' become 'application/json'), duplicates are removed and
+ * malformed ones are dropped with 'MEDIA_TYPE' warning.
+ * @param mediaTypes {array|string} - Swagger 1.x media types
+ * @param pointer {string} - JSON pointer to media types inside apiDeclaration
+ * @returns {array|undefined} - Swagger 2.0 media types
  */
-prototype.buildResponses = function (oldOperation) {
-  var responses = {};
+prototype.buildMediaTypes = function (mediaTypes, pointer) {
+  if (this.options.normalizeMediaTypes !== true || !isValue(mediaTypes)) {
+    return mediaTypes;
+  }
 
-  this.forEach(oldOperation.responseMessages, function (oldResponse) {
-    var code = '' + oldResponse.code;
-    responses[code] = extend(
+  if (typeof mediaTypes === 'string') {
+    mediaTypes = mediaTypes.split(',');
+  }
+  if (!Array.isArray(mediaTypes)) {
+    this.warn(
+      'MEDIA_TYPE',
+      'Media types ' +
+        JSON.stringify(mediaTypes) +
+        ' can not be parsed and were dropped',
+      pointer,
+    );
+    return undefined;
+  }
+
+  var result = [];
+  this.forEach(mediaTypes, function (mediaType, index) {
+    var normalized = normalizeMediaType(mediaType);
+    if (!isValue(normalized)) {
+      this.warn(
+        'MEDIA_TYPE',
+        'Media type ' +
+          JSON.stringify(mediaType) +
+          ' can not be parsed and was dropped',
+        appendPointer(pointer, index),
+      );
+      return;
+    }
+    if (result.indexOf(normalized) === -1) {
+      result.push(normalized);
+    }
+  });
+  return undefinedIfEmpty(result);
+};
+
+/*
+ * Infer 'consumes' of operation with formData parameters, Swagger 2.0
+ * accepts them only in multipart or urlencoded form. When operation consumes
+ * neither of them, 'multipart/form-data' is used for files and
+ * 'application/x-www-form-urlencoded' for everything else.
+ * @param parameters {array} - Swagger 2.0 parameters of operation
+ * @param consumes {array} - media types of operation or its apiDeclaration
+ * @param pointer {string} - JSON pointer to operation inside apiDeclaration
+ * @returns {array|undefined} - Swagger 2.0 media types operation consumes
+ */
+prototype.inferConsumes = function (parameters, consumes, pointer) {
+  var forms = parameters.filter(function (parameter) {
+    return parameter.in === 'formData';
+  });
+  var declared = (consumes || []).some(function (mediaType) {
+    return FORM_MEDIA_TYPES.indexOf(mediaType.split(';')[0]) !== -1;
+  });
+  if (isEmpty(forms) || declared) {
+    return consumes;
+  }
+
+  var hasFile = forms.some(function (parameter) {
+    return parameter.type === 'file';
+  });
+  var inferred = FORM_MEDIA_TYPES[hasFile ? 0 : 1];
+
+  if (isEmpty(consumes)) {
+    this.warn(
+      'MEDIA_TYPE',
+      'Operation consumes "' + inferred + '" inferred from formData parameters',
+      pointer,
+      'info',
+    );
+  } else {
+    this.warn(
+      'MEDIA_TYPE',
+      'Media types "' +
+        consumes.join('", "') +
+        '" can not be used with formData parameters and were replaced by "' +
+        inferred +
+        '"',
+      appendPointer(pointer, 'consumes'),
+    );
+  }
+  return [inferred];
+};
+
+/*
+ * Move 'consumes' and 'produces' shared by every operation of the document
+ * to the document level
+ * @param document {object} - Swagger 2.0 document
+ */
+prototype.hoistMediaTypes = function (document) {
+  var operations = [];
+  this.forEach(document.paths, function (path) {
+    this.forEach(path, function (operation, method) {
+      if (METHODS.indexOf(method) !== -1) {
+        operations.push(operation);
+      }
+    });
+  });
+
+  this.forEach(['consumes', 'produces'], function (key) {
+    var shared = isEmpty(operations) ? undefined : operations[0][key];
+    var everywhere = operations.every(function (operation) {
+      return isValue(operation[key]) && isEqual(operation[key], shared);
+    });
+    if (!isValue(shared) || !everywhere) {
+      return;
+    }
+
+    document[key] = shared;
+    this.forEach(operations, function (operation) {
+      delete operation[key];
+    });
+  });
+};
+
+/*
+ * Swagger 2.0 operation can have only one body parameter and can't have both
+ * body and formData parameters. Several body parameters are merged into one
+ * with object schema, conflict between body and formData parameters is
+ * resolved according to 'bodyConflict' option:
+ *  - by default or with 'prefer-body' formData parameters are dropped
+ *  - 'prefer-form-data' drops body parameter
+ *  - 'error' throws
+ * @param parameters {array} - Swagger 2.0 parameters of operation
+ * @param pointer {string} - JSON pointer to operation inside apiDeclaration
+ * @returns {array} - resolved parameters
+ * @throws {SwaggerConverterError}
+ */
+prototype.resolveBodyParameters = function (parameters, pointer) {
+  var bodies = parameters.filter(function (parameter) {
+    return parameter.in === 'body';
+  });
+  var forms = parameters.filter(function (parameter) {
+    return parameter.in === 'formData';
+  });
+
+  if (bodies.length > 1) {
+    var merged = this.mergeBodyParameters(bodies, pointer);
+    var index = parameters.indexOf(bodies[0]);
+    parameters = parameters.filter(function (parameter) {
+      return parameter.in !== 'body';
+    });
+    parameters.splice(index, 0, merged);
+    bodies = [merged];
+  }
+
+  if (isEmpty(bodies) || isEmpty(forms)) {
+    return parameters;
+  }
+
+  var formNames = forms
+    .map(function (parameter) {
+      return '"' + parameter.name + '"';
+    })
+    .join(', ');
+
+  switch (this.options.bodyConflict) {
+    case 'error':
+      throw new SwaggerConverterError(
+        'Body parameter "' +
+          bodies[0].name +
+          '" conflicts with formData parameters ' +
+          formNames,
+      );
+
+    case 'prefer-form-data':
+      this.warn(
+        'BODY_PARAMETER',
+        'Body parameter "' +
+          bodies[0].name +
+          '" conflicts with formData parameters ' +
+          formNames +
+          ' and was dropped',
+        pointer,
+      );
+      return parameters.filter(function (parameter) {
+        return parameter.in !== 'body';
+      });
+
+    default:
+      this.warn(
+        'BODY_PARAMETER',
+        'FormData parameters ' +
+          formNames +
+          ' conflict with body parameter "' +
+          bodies[0].name +
+          '" and were dropped',
+        pointer,
+      );
+      return parameters.filter(function (parameter) {
+        return parameter.in !== 'formData';
+      });
+  }
+};
+
+/*
+ * Merge several body parameters into one with object schema, every
+ * parameter becomes a property of it
+ * @param bodies {array} - Swagger 2.0 body parameters
+ * @param pointer {string} - JSON pointer to operation inside apiDeclaration
+ * @returns {object} - Swagger 2.0 body parameter
+ */
+prototype.mergeBodyParameters = function (bodies, pointer) {
+  var properties = {};
+  var required = [];
+
+  this.forEach(bodies, function (body) {
+    var name = getUniqueName(properties, body.name);
+    var property = body.schema;
+    //Siblings of '$ref' are ignored, so description is kept only for inline
+    //schemas
+    if (isValue(body.description) && !isValue(property.$ref)) {
+      property = this.trace(
+        extend({}, property, { description: body.description }),
+        pointer,
+      );
+    }
+    properties[name] = property;
+    if (body.required === true) {
+      required.push(name);
+    }
+  });
+
+  this.warn(
+    'BODY_PARAMETER',
+    'Body parameters ' +
+      Object.keys(properties)
+        .map(function (name) {
+          return '"' + name + '"';
+        })
+        .join(', ') +
+      ' were merged into one',
+    pointer,
+    'info',
+  );
+
+  return this.trace(
+    extend(
       {},
       {
-        description: oldResponse.message || 'Description was not specified',
-        schema: undefinedIfEmpty(
-          this.buildTypeProperties(oldResponse.responseModel, true),
+        in: 'body',
+        name: 'body',
+        required: isEmpty(required) ? undefined : true,
+        schema: this.trace(
+          extend(
+            {},
+            {
+              type: 'object',
+              properties: properties,
+              required: undefinedIfEmpty(required),
+            },
+          ),
+          pointer,
         ),
       },
-    );
+    ),
+    pointer,
+  );
+};
+
+/*
+ * Builds a Swagger 2.0 responses object form a Swagger 1.x responseMessages object
+ * @param oldOperation {object} - Swagger 1.x operation object
+ * @param pointer {string} - JSON pointer to operation inside apiDeclaration
+ * @returns {object} - Swagger 2.0 response object
+ */
+prototype.buildResponses = function (oldOperation, pointer) {
+  var responses = {};
+
+  //Swagger 1.0/1.1 'errorResponses' have 'reason' instead of 'message',
+  //1.2 'responseMessages' take precedence if both are present
+  this.forEach(['errorResponses', 'responseMessages'], function (field) {
+    this.forEach(oldOperation[field], function (oldResponse, index) {
+      var code = '' + oldResponse.code;
+      var responsePointer = appendPointer(pointer, field, index);
+      responses[code] = extend(
+        {},
+        this.getExtensions(oldResponse, responsePointer),
+        {
+          description:
+            oldResponse.message ||
+            oldResponse.reason ||
+            'Description was not specified',
+          schema: undefinedIfEmpty(
+            this.trace(
+              this.buildTypeProperties(
+                oldResponse.responseModel,
+                true,
+                appendPointer(responsePointer, 'responseModel'),
+              ),
+              appendPointer(responsePointer, 'responseModel'),
+            ),
+          ),
+        },
+      );
+      this.trace(responses[code], responsePointer);
+    });
   });
 
   if (!Object.keys(responses).some((key) => /^2\d\d$/.test(key))) {
-    responses['200'] = {
-      description: 'No response was specified',
-    };
+    responses['200'] = this.trace(
+      { description: 'No response was specified' },
+      pointer,
+    );
     extend(responses['200'], {
-      schema: undefinedIfEmpty(this.buildDataType(oldOperation, true)),
+      schema: undefinedIfEmpty(this.buildDataType(oldOperation, true, pointer)),
     });
   }
 
@@ -643,39 +2123,63 @@ prototype.buildResponses = function (oldOperation) {
 /*
  * Converts Swagger 1.x parameter object to Swagger 2.0 parameter object
  * @param oldParameter {object} - Swagger 1.x parameter object
+ * @param pointer {string} - JSON pointer to parameter inside apiDeclaration
  * @returns {object} - Swagger 2.0 parameter object
  * @throws {SwaggerConverterError}
  */
-prototype.buildParameter = function (oldParameter) {
+prototype.buildParameter = function (oldParameter, pointer) {
   var parameter = extend(
     {},
     {
       in: oldParameter.paramType,
       description: oldParameter.description,
       name: oldParameter.name,
-      required: fixNonStringValue(oldParameter.required),
+      required: this.parseProperty(oldParameter, 'required', pointer),
     },
   );
 
-  this.forEach(oldParameter, function (oldProperty, name) {
-    if (name.match(/^X-/i) !== null) {
-      parameter[name] = oldProperty;
-    }
-  });
+  extend(parameter, this.getExtensions(oldParameter, pointer));
 
   if (parameter.in === 'form') {
     parameter.in = 'formData';
   }
 
-  if (oldParameter.paramType === 'body') {
-    parameter.schema = this.buildDataType(oldParameter, true);
+  //Swagger 1.0/1.1 upload files through body parameter, but Swagger 2.0
+  //allows them only in form data
+  var oldType = oldParameter.type || oldParameter.dataType;
+  if (
+    parameter.in === 'body' &&
+    typeof oldType === 'string' &&
+    oldType.trim().toLowerCase() === 'file'
+  ) {
+    parameter.in = 'formData';
+    if (!isValue(parameter.name)) {
+      parameter.name = 'file';
+    }
+  }
+
+  var allowMultiple = this.parseProperty(
+    oldParameter,
+    'allowMultiple',
+    pointer,
+  );
+
+  if (parameter.in === 'body') {
+    var bodySchema = this.buildDataType(oldParameter, true, pointer);
+    //In Swagger 1.0/1.1 body parameter with 'allowMultiple' accepts a list,
+    //Swagger 1.2 allows 'allowMultiple' only for path, query and header
+    var isLegacy = /^1\.[01](\.|$)/.test(this.swaggerVersion);
+    if (isLegacy && allowMultiple === true && bodySchema.type !== 'array') {
+      bodySchema = { type: 'array', items: bodySchema };
+    }
+    parameter.schema = bodySchema;
     if (!isValue(parameter.name)) {
       parameter.name = 'body';
     }
-    return parameter;
+    return this.trace(parameter, pointer);
   }
 
-  var schema = this.buildDataType(oldParameter, false);
+  var schema = this.buildDataType(oldParameter, false, pointer);
 
   //Encoding of non-body arguments is the same not matter which type is specified.
   //So type only affects parameter validation, so it "safe" to add missing types.
@@ -687,7 +2191,6 @@ prototype.buildParameter = function (oldParameter) {
     schema.items.type = 'string';
   }
 
-  var allowMultiple = fixNonStringValue(oldParameter.allowMultiple);
   //Non-body parameters doesn't support array inside array. But in some specs
   //both 'allowMultiple' is true and 'type' is array, so just ignore it.
   if (allowMultiple === true && schema.type !== 'array') {
@@ -711,7 +2214,7 @@ prototype.buildParameter = function (oldParameter) {
     }
   }
 
-  return extend(parameter, schema);
+  return this.trace(extend(parameter, schema), pointer);
 };
 
 /*
@@ -727,14 +2230,35 @@ prototype.buildSecurityDefinitions = function (oldAuthorizations) {
 
   this.securityNamesMap = {};
   this.forEach(oldAuthorizations, function (oldAuthorization, name) {
+    var pointer = appendPointer('', 'authorizations', name);
     var scopes = {};
-    this.forEach(oldAuthorization.scopes, function (oldScope) {
+    //Scopes and OAuth2 endpoints become plain strings in Swagger 2.0
+    var nestedExtensions = {};
+    this.forEach(oldAuthorization.scopes, function (oldScope, index) {
       var name = oldScope.scope;
       scopes[name] = oldScope.description || 'Undescribed ' + name;
+      nestedExtensions[appendPointer('', 'scopes', index)] = undefinedIfEmpty(
+        this.getExtensions(oldScope, appendPointer(pointer, 'scopes', index)),
+      );
+    });
+    this.forEach(oldAuthorization.grantTypes, function (oldGrantType, gtName) {
+      this.forEach(oldGrantType, function (endpoint, key) {
+        if (typeof endpoint === 'object') {
+          nestedExtensions[
+            appendPointer('', 'grantTypes', gtName, key)
+          ] = undefinedIfEmpty(
+            this.getExtensions(
+              endpoint,
+              appendPointer(pointer, 'grantTypes', gtName, key),
+            ),
+          );
+        }
+      });
     });
 
     var securityDefinition = extend(
       {},
+      this.getExtensions(oldAuthorization, pointer),
       {
         type: oldAuthorization.type,
         in: oldAuthorization.passAs,
@@ -742,13 +2266,17 @@ prototype.buildSecurityDefinitions = function (oldAuthorizations) {
         scopes: undefinedIfEmpty(scopes),
       },
     );
+    nestedExtensions = extend({}, nestedExtensions);
+    if (!isEmpty(nestedExtensions)) {
+      securityDefinition[EXTENSIONS_CONTAINER] = nestedExtensions;
+    }
 
     if (securityDefinition.type === 'basicAuth') {
       securityDefinition.type = 'basic';
     }
 
     if (!isValue(oldAuthorization.grantTypes)) {
-      securityDefinitions[name] = securityDefinition;
+      securityDefinitions[name] = this.trace(securityDefinition, pointer);
       this.securityNamesMap[name] = [name];
       return;
     }
@@ -785,88 +2313,476 @@ prototype.buildSecurityDefinitions = function (oldAuthorizations) {
         oName += '_' + grantParameters.flow;
       }
 
-      this.securityNamesMap[name].push(oName);
-      securityDefinitions[oName] = extend(
-        {},
-        securityDefinition,
-        grantParameters,
-      );
-    });
+      this.securityNamesMap[name].push(oName);
+      securityDefinitions[oName] = this.trace(
+        extend(
+          {},
+          securityDefinition,
+          this.getExtensions(
+            oldGrantType,
+            appendPointer(pointer, 'grantTypes', gtName),
+          ),
+          grantParameters,
+        ),
+        appendPointer(pointer, 'grantTypes', gtName),
+      );
+    });
+  });
+
+  return securityDefinitions;
+};
+
+/*
+ * Converts a Swagger 1.x model object to a Swagger 2.0 model object
+ * @param model {object} - Swagger 1.x model object
+ * @param pointer {string} - JSON pointer to model inside apiDeclaration
+ * @returns {object} - Swagger 2.0 model object
+ */
+prototype.buildModel = function (oldModel, pointer) {
+  var required = [];
+  var properties = {};
+  var items;
+
+  this.forEach(oldModel.properties, function (oldProperty, propertyName) {
+    var propertyPointer = appendPointer(pointer, 'properties', propertyName);
+    if (this.parseProperty(oldProperty, 'required', propertyPointer) === true) {
+      required.push(propertyName);
+    }
+
+    properties[propertyName] = this.buildModel(oldProperty, propertyPointer);
+  });
+
+  if (Array.isArray(oldModel.required)) {
+    required = oldModel.required;
+  }
+
+  if (isValue(oldModel.items)) {
+    items = this.buildModel(oldModel.items, appendPointer(pointer, 'items'));
+  }
+
+  var customProperties = this.getExtensions(oldModel, pointer);
+  return extend(this.buildDataType(oldModel, true, pointer), customProperties, {
+    description: oldModel.description,
+    required: undefinedIfEmpty(required),
+    properties: undefinedIfEmpty(properties),
+    discriminator: oldModel.discriminator,
+    example: oldModel.example,
+    items: undefinedIfEmpty(items),
+  });
+};
+
+/*
+ * Converts the "models" object of Swagger 1.x specs to Swagger 2.0 definitions
+ * object
+ * @param oldModels {object} - an object containing Swagger 1.x objects
+ * @param pointer {string} - JSON pointer to models inside apiDeclaration
+ * @returns {object} - Swagger 2.0 definitions object
+ * @throws {SwaggerConverterError}
+ */
+prototype.buildDefinitions = function (oldModels, pointer) {
+  var models = {};
+
+  this.forEach(oldModels, function (oldModel, modelId) {
+    models[modelId] = this.buildModel(
+      oldModel,
+      appendPointer(pointer, modelId),
+    );
+  });
+
+  this.forEach(oldModels, function (parent, parentId) {
+    this.forEach(parent.subTypes, function (childId) {
+      var child = models[childId];
+
+      if (!isValue(child)) {
+        throw new SwaggerConverterError(
+          'subTypes resolution: Missing "' + childId + '" type',
+        );
+      }
+
+      if (!isValue(child.allOf)) {
+        models[childId] = child = this.trace(
+          { allOf: [child] },
+          appendPointer(pointer, childId),
+        );
+      }
+
+      child.allOf.push({ $ref: '#/definitions/' + parentId });
+    });
+  });
+
+  this.forEach(oldModels, function (oldModel, modelId) {
+    models[modelId] = this.runHooks(
+      'onModel',
+      oldModel,
+      models[modelId],
+      appendPointer(pointer, modelId),
+      { name: modelId },
+    );
+  });
+
+  return models;
+};
+
+/*
+ * Add definitions of one resource to already converted ones resolving name
+ * collisions according to 'modelCollision' option:
+ *  - by default later model overrides earlier one
+ *  - 'error' throws on any collision
+ *  - 'keep-first' keeps earlier model
+ *  - 'merge-if-identical' throws unless models are identical
+ *  - 'rename' adds resource name prefix to later model
+ * Except for 'error' policy identical models are merged silently and the
+ * earlier model is kept.
+ * @param definitions {object} - Swagger 2.0 definitions converted so far
+ * @param models {object} - Swagger 2.0 definitions of the resource
+ * @param resourceName {string} - name of the resource, used as prefix
+ * @returns {object} - map of renamed models to their new names
+ * @throws {SwaggerConverterError}
+ */
+prototype.mergeDefinitions = function (definitions, models, resourceName) {
+  var policy = this.options.modelCollision;
+  var renames = {};
+
+  //Renaming a model changes references to it, so models of the resource are
+  //compared only after their references are renamed, until nothing changes
+  if (policy === 'rename') {
+    var taken = extend({}, definitions);
+    var collisions;
+    do {
+      collisions = {};
+      this.forEach(models, function (model, name) {
+        var existing = definitions[name];
+        if (
+          !isValue(renames[name]) &&
+          isValue(existing) &&
+          !isEqual(existing, model)
+        ) {
+          collisions[name] = getUniqueName(
+            taken,
+            toIdentifier(resourceName) + '_' + name,
+          );
+          taken[collisions[name]] = model;
+        }
+      });
+      renameReferences(models, collisions);
+      extend(renames, collisions);
+    } while (!isEmpty(collisions));
+  }
+
+  this.forEach(models, function (model, name) {
+    var existing = definitions[name];
+    var origin = this.definitionOrigins[name];
+    var message =
+      'Model "' +
+      name +
+      '" is already defined' +
+      (isValue(origin) ? ' in "' + origin + '"' : '');
+
+    if (isValue(existing) && !isEqual(existing, model)) {
+      var pointer = appendPointer('/models', name);
+
+      switch (policy) {
+        case 'error':
+        case 'merge-if-identical':
+          throw new SwaggerConverterError(message + ' with different shape');
+
+        case 'keep-first':
+          this.warn(
+            'MODEL_COLLISION',
+            message + ', model was dropped',
+            pointer,
+          );
+          return;
+
+        case 'rename':
+          name = renames[name];
+          this.warn(
+            'MODEL_COLLISION',
+            message + ', model was renamed to "' + name + '"',
+            pointer,
+            'info',
+          );
+          break;
+
+        default:
+          this.warn(
+            'MODEL_COLLISION',
+            message + ', it was overridden',
+            pointer,
+          );
+      }
+    } else if (isValue(existing)) {
+      if (policy === 'error') {
+        throw new SwaggerConverterError(message);
+      }
+      return;
+    }
+
+    definitions[name] = model;
+    this.definitionOrigins[name] = this.declarationPath;
   });
 
-  return securityDefinitions;
+  this.forEach(renames, function (newName, name) {
+    models[newName] = models[name];
+    delete models[name];
+  });
+  return renames;
 };
 
 /*
- * Converts a Swagger 1.x model object to a Swagger 2.0 model object
- * @param model {object} - Swagger 1.x model object
- * @returns {object} - Swagger 2.0 model object
+ * Assign operationIds according to 'operationIdStrategy' option:
+ *  - 'nickname' keeps Swagger 1.x nicknames, it's the default
+ *  - 'prefix' adds tag or resource name to nicknames used more than once
+ *  - 'method-path' generates ids like 'getPetsByPetId' from method and path
+ *  - function is called with 'nickname', 'method', 'path', 'tags' and
+ *    'declarationPath' of every operation and returns its id
+ * Missing nicknames are generated from method and path by 'prefix' strategy.
+ * @param entries {array} - converted operations with their origins
+ * @returns {array} - mapping of nicknames to operationIds
  */
-prototype.buildModel = function (oldModel) {
-  var required = [];
-  var properties = {};
-  var items;
+prototype.assignOperationIds = function (entries) {
+  var strategy = this.options.operationIdStrategy || 'nickname';
+  var taken = {};
+  var counts = {};
 
-  this.forEach(oldModel.properties, function (oldProperty, propertyName) {
-    if (fixNonStringValue(oldProperty.required) === true) {
-      required.push(propertyName);
+  this.forEach(entries, function (entry) {
+    counts[entry.nickname] = (counts[entry.nickname] || 0) + 1;
+  });
+
+  //Unique nicknames are kept, so generated ids shouldn't clash with them
+  this.forEach(counts, function (count, nickname) {
+    if (strategy === 'prefix' && count === 1) {
+      taken[nickname] = true;
+    }
+  });
+
+  return this.mapEach(entries, function (entry) {
+    var operation = entry.operation;
+    var operationId = entry.nickname;
+
+    if (typeof strategy === 'function') {
+      operationId = strategy({
+        nickname: entry.nickname,
+        method: entry.method,
+        path: entry.path,
+        tags: operation.tags,
+        declarationPath: entry.declarationPath,
+      });
+    } else if (strategy === 'method-path' || !isValue(operationId)) {
+      if (strategy !== 'nickname') {
+        operationId = getUniqueName(
+          taken,
+          buildOperationIdFromPath(entry.method, entry.path),
+        );
+      }
+    } else if (strategy === 'prefix' && counts[operationId] > 1) {
+      var prefix = toIdentifier(
+        isValue(operation.tags) ? operation.tags[0] : entry.declarationPath,
+      );
+      operationId = getUniqueName(
+        taken,
+        isValue(prefix) ? prefix + '_' + operationId : operationId,
+      );
+    }
+
+    if (isValue(operationId)) {
+      taken[operationId] = true;
+      operation.operationId = operationId;
+    } else {
+      delete operation.operationId;
     }
 
-    properties[propertyName] = this.buildModel(oldProperty);
+    return extend(
+      {},
+      {
+        nickname: entry.nickname,
+        operationId: operationId,
+        method: entry.method,
+        path: entry.path,
+        location: {
+          declarationPath: entry.declarationPath,
+          pointer: entry.pointer,
+        },
+      },
+    );
   });
+};
 
-  if (Array.isArray(oldModel.required)) {
-    required = oldModel.required;
+/*
+ * Copy vendor extensions of Swagger 1.x object. Swagger 2.0 accepts only
+ * keys starting with lower case 'x-', so other ones are reported and dropped
+ * unless 'normalizeExtensions' option makes their prefix lower case.
+ * @param object {object} - Swagger 1.x object
+ * @param pointer {string} - JSON pointer to the object inside apiDeclaration
+ * @returns {object} - object with only vendor extensions
+ */
+prototype.getExtensions = function (object, pointer) {
+  var normalize = this.options.normalizeExtensions === true;
+  var result = {};
+  for (var key in object) {
+    if (/^x-/.test(key) || (normalize && /^x-/i.test(key))) {
+      result['x-' + key.slice(2)] = object[key];
+    } else if (/^x-/i.test(key)) {
+      this.warn(
+        'EXTENSION_DROPPED',
+        'Vendor extension "' +
+          key +
+          '" doesn\'t start with lower case "x-" and was dropped',
+        appendPointer(pointer, key),
+      );
+    }
   }
+  return result;
+};
 
-  if (isValue(oldModel.items)) {
-    items = this.buildModel(oldModel.items);
+/*
+ * Report a problem found during conversion
+ * @param code {string} - stable identifier of the warning
+ * @param message {string} - human readable description
+ * @param pointer {string} - JSON pointer inside current apiDeclaration
+ * @param severity {string} - 'error', 'warning' or 'info', default 'warning'
+ */
+prototype.warn = function (code, message, pointer, severity) {
+  this.warnings.push({
+    code: code,
+    severity: severity || 'warning',
+    message: message,
+    location: {
+      declarationPath: this.declarationPath,
+      pointer: pointer || '',
+    },
+  });
+};
+
+/*
+ * Validate converted document if 'validate' option is set
+ * @param document {object} - converted document or, if 'splitByBasePath'
+ *  option is set, a map of base URLs to documents
+ * @returns {object|undefined} - 'valid' flag and list of 'errors' with JSON
+ *  pointers inside the document
+ * @throws {SwaggerConverterError} - in 'strict' mode if document is invalid
+ */
+prototype.validate = function (document) {
+  var validate = this.options.validate;
+  if (!validate) {
+    return undefined;
   }
 
-  var customProperties = getCustomProperties(oldModel);
-  return extend(this.buildDataType(oldModel, true), customProperties, {
-    description: oldModel.description,
-    required: undefinedIfEmpty(required),
-    properties: undefinedIfEmpty(properties),
-    discriminator: oldModel.discriminator,
-    example: oldModel.example,
-    items: undefinedIfEmpty(items),
-  });
+  var errors = [];
+  if (this.options.splitByBasePath === true) {
+    this.forEach(document, function (swagger, baseUrl) {
+      validateSwagger(swagger).forEach(function (error) {
+        error.pointer = appendPointer('', baseUrl) + error.pointer;
+        errors.push(error);
+      });
+    });
+  } else {
+    errors = validateSwagger(document);
+  }
+
+  if (validate === 'strict' && errors.length !== 0) {
+    var error = new SwaggerConverterError(
+      'Converted document is invalid:\n' +
+        errors
+          .map(function (error) {
+            return '  ' + error.pointer + ': ' + error.message;
+          })
+          .join('\n'),
+    );
+    error.errors = errors;
+    throw error;
+  }
+
+  return { valid: errors.length === 0, errors: errors };
 };
 
 /*
- * Converts the "models" object of Swagger 1.x specs to Swagger 2.0 definitions
- * object
- * @param oldModels {object} - an object containing Swagger 1.x objects
- * @returns {object} - Swagger 2.0 definitions object
- * @throws {SwaggerConverterError}
+ * Pass converted node to 'options.plugins' hooks. Every hook is called with
+ * Swagger 1.x node, Swagger 2.0 node and context, it can mutate the node or
+ * return a replacement.
+ * @param hook {string} - name of the hook, e.g. 'onOperation'
+ * @param oldNode {object} - Swagger 1.x node
+ * @param node {object} - converted Swagger 2.0 node
+ * @param pointer {string} - JSON pointer to the old node inside current
+ *  apiDeclaration
+ * @param context {object} - hook specific properties added to the context
+ * @returns {object} - the node or its replacement
  */
-prototype.buildDefinitions = function (oldModels) {
-  var models = {};
+prototype.runHooks = function (hook, oldNode, node, pointer, context) {
+  var converter = this;
+  context = extend(
+    {
+      declarationPath: this.declarationPath,
+      pointer: pointer,
+      warn: function (code, message, severity) {
+        converter.warn(code, message, pointer, severity);
+      },
+    },
+    context,
+  );
 
-  this.forEach(oldModels, function (oldModel, modelId) {
-    models[modelId] = this.buildModel(oldModel);
+  this.forEach(this.options.plugins, function (plugin) {
+    if (typeof plugin[hook] !== 'function') {
+      return;
+    }
+
+    var result = plugin[hook](oldNode, node, context);
+    if (result !== undefined && result !== node) {
+      if (isValue(this.origins) && this.origins.has(node)) {
+        this.trace(result, pointer);
+      }
+      node = result;
+    }
   });
+  return node;
+};
 
-  this.forEach(oldModels, function (parent, parentId) {
-    this.forEach(parent.subTypes, function (childId) {
-      var child = models[childId];
+/*
+ * Remember Swagger 1.x origin of the Swagger 2.0 node for the source map
+ * @param node {object} - Swagger 2.0 node
+ * @param pointer {string} - JSON pointer inside current apiDeclaration
+ * @returns {object} - the node
+ */
+prototype.trace = function (node, pointer) {
+  if (isValue(this.origins) && node !== null && typeof node === 'object') {
+    if (!this.origins.has(node)) {
+      this.origins.set(node, {
+        declarationPath: this.declarationPath,
+        pointer: pointer || '',
+      });
+    }
+  }
+  return node;
+};
 
-      if (!isValue(child)) {
-        throw new SwaggerConverterError(
-          'subTypes resolution: Missing "' + childId + '" type',
-        );
-      }
+/*
+ * Builds source map for the converted document
+ * @param document {object} - converted document
+ * @returns {object|undefined} - map of JSON pointers inside document to
+ *  their Swagger 1.x origins, undefined if 'sourceMap' option isn't set
+ */
+prototype.buildSourceMap = function (document) {
+  if (!isValue(this.origins)) {
+    return undefined;
+  }
 
-      if (!isValue(child.allOf)) {
-        models[childId] = child = { allOf: [child] };
-      }
+  var origins = this.origins;
+  var sourceMap = {};
 
-      child.allOf.push({ $ref: '#/definitions/' + parentId });
+  (function walk(node, pointer) {
+    if (node === null || typeof node !== 'object') {
+      return;
+    }
+
+    if (origins.has(node)) {
+      sourceMap[pointer] = origins.get(node);
+    }
+    Object.keys(node).forEach(function (key) {
+      walk(node[key], appendPointer(pointer, key));
     });
-  });
+  })(document, '');
 
-  return models;
+  return sourceMap;
 };
 
 /*
@@ -915,132 +2831,133 @@ prototype.forEach = function (collection, iteratee) {
 };
 
 /*
- * Extends an object with another
- * @param destination {object} - object that will get extended
- * @parma source {object} - object the will used to extend source
+ * Convert string values into the proper type.
+ * @param value {*} - value to convert
+ * @returns {*} - converted value or undefined if string can't be parsed,
+ *  callers report such values, see 'parseProperty'
  */
-function extend(destination) {
-  assert(typeof destination === 'object');
-
-  function assign(source) {
-    if (!source) {
-      return;
-    }
-    Object.keys(source).forEach(function (key) {
-      var value = source[key];
-      if (isValue(value)) {
-        destination[key] = value;
-      }
-    });
+function fixNonStringValue(value) {
+  if (typeof value !== 'string') {
+    return value;
   }
 
-  for (var i = 1; i < arguments.length; ++i) {
-    assign(arguments[i]);
+  if (value === '') {
+    return undefined;
   }
-  return destination;
-}
 
-/*
- * Test if value is empty and if so return undefined
- * @param value {*} - value to test
- * @returns {array|object|undefined} - result
- */
-function undefinedIfEmpty(value) {
-  return isEmpty(value) ? undefined : value;
-}
+  var lcValue = value.toLowerCase();
 
-/*
- * Test if value isn't null or undefined
- * @param value {*} - value to test
- * @returns {boolean} - result of test
- */
-function isValue(value) {
-  //Some implementations use empty strings as undefined.
-  //For all fields we can drop empty string without any problems.
-  //One notable exception is 'default' values, but it better to
-  //skip it instead of providing unintended value.
-  if (value === '') {
+  if (lcValue === 'true') {
+    return true;
+  }
+  if (lcValue === 'false') {
     return false;
   }
 
-  return value !== undefined && value !== null;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return undefined;
+  }
 }
 
 /*
- * Get length of container(Array or Object).
- * @param value {*} - container
- * @returns {number} - length of container
+ * Parse string form of Swagger 1.1 allowable values, e.g. 'LIST[a,b]' or
+ * 'RANGE[1,10]'
+ * @param value {string} - allowable values string
+ * @returns {object|string} - allowable values object or value as is
  */
-function getLength(value) {
-  if (typeof value !== 'object') {
-    return 0;
+function parseAllowableValues(value) {
+  var match = value.trim().match(/^(LIST|RANGE)\[(.*)\]$/i);
+  if (!isValue(match)) {
+    return value;
   }
 
-  if (isValue(value.length)) {
-    return value.length;
+  var values = match[2].split(',').map(function (item) {
+    return item.trim();
+  });
+
+  if (match[1].toUpperCase() === 'LIST') {
+    return { valueType: 'LIST', values: values };
   }
 
-  return Object.keys(value).length;
+  if (values.length !== 2) {
+    return value;
+  }
+  return { valueType: 'RANGE', min: values[0], max: values[1] };
 }
 
 /*
- * Test if value is empty
- * @param value {*} - value to test
- * @returns {boolean} - result of test
+ * Check if value describes an unbounded end of Swagger 1.1 range
+ * @param value {*} - 'min' or 'max' of allowable values
+ * @returns {boolean}
  */
-function isEmpty(value) {
-  return getLength(value) === 0;
+function isInfinity(value) {
+  return Math.abs(Number(value)) === Infinity;
 }
 
 /*
- * Get property value of object
- * @param object {*} - object
- * @returns {*} - property value
+ * Coerce value to Swagger 2.0 primitive type
+ * @param value {*} - value to coerce
+ * @param type {string} - Swagger 2.0 type, unknown types keep value as is
+ * @returns {*} - coerced value or undefined if it can't be coerced
  */
-function getValue(object) {
-  for (var i = 1; i < arguments.length && isValue(object); ++i) {
-    var propertyName = arguments[i];
-    assert(typeof propertyName === 'string');
-    object = object[propertyName];
+function coerceValue(value, type) {
+  if (!isValue(value) || typeof value === 'object') {
+    return undefined;
+  }
+
+  switch (type) {
+    case 'integer':
+    case 'number':
+      //Swagger 1.1 uses infinity to describe unbounded ranges
+      var number = Number(value);
+      if (!isFinite(number) || String(value).trim() === '') {
+        return undefined;
+      }
+      if (type === 'integer' && Math.floor(number) !== number) {
+        return undefined;
+      }
+      return number;
+    case 'boolean':
+      var lcValue = String(value).toLowerCase();
+      if (lcValue === 'true' || lcValue === 'false') {
+        return lcValue === 'true';
+      }
+      return undefined;
+    case 'string':
+      return String(value);
   }
-  return object;
+  return value;
 }
 
 /*
- * Convert string values into the proper type.
- * @param value {*} - value to convert
- * @param skipError {boolean} - skip error during conversion
- * @returns {*} - transformed model object
- * @throws {SwaggerConverterError}
+ * Coerce value to the type of Swagger 2.0 data type. Arrays accept JSON
+ * arrays and comma separated strings, every item is coerced to items type.
+ * Values of other types are parsed if they are JSON strings.
+ * @param value {*} - value to coerce
+ * @param dataType {object} - Swagger 2.0 schema or parameter
+ * @returns {*} - coerced value or undefined if value can't be coerced
  */
-function fixNonStringValue(value, skipError) {
-  if (typeof value !== 'string') {
-    return value;
+function coerceTypedValue(value, dataType) {
+  if (SCALAR_TYPES.indexOf(dataType.type) !== -1) {
+    return coerceValue(value, dataType.type);
   }
 
-  if (value === '') {
-    return undefined;
+  if (dataType.type !== 'array') {
+    return fixNonStringValue(value);
   }
 
-  var lcValue = value.toLowerCase();
-
-  if (lcValue === 'true') {
-    return true;
-  }
-  if (lcValue === 'false') {
-    return false;
+  var items = Array.isArray(value) ? value : [value];
+  if (typeof value === 'string') {
+    var parsed = fixNonStringValue(value);
+    items = Array.isArray(parsed) ? parsed : value.split(',');
   }
 
-  try {
-    return JSON.parse(value);
-  } catch (e) {
-    //TODO: report warning
-    if (skipError === true) {
-      return undefined;
-    }
-
-    throw new SwaggerConverterError('incorect property value: ' + e.message);
-  }
+  var coerced = items.map(function (item) {
+    return coerceTypedValue(item, dataType.items || {});
+  });
+  return coerced.every(isValue) ? coerced : undefined;
 }
 
 /*
@@ -1054,6 +2971,51 @@ function removeDuplicates(collection) {
   });
 }
 
+/*
+ * Canonicalize media type: trim and lower case it, replace aliases and
+ * normalize spaces around parameters
+ * @param mediaType {string} - media type, e.g. 'json' or 'Text/JSON '
+ * @returns {string|undefined} - media type or undefined for malformed type
+ */
+function normalizeMediaType(mediaType) {
+  if (typeof mediaType !== 'string') {
+    return undefined;
+  }
+
+  var parts = mediaType.split(';').map(function (part) {
+    return part.trim();
+  });
+  var type = parts[0].toLowerCase();
+  type = MEDIA_TYPE_ALIASES[type] || type;
+  if (!/^[\w.*+-]+\/[\w.*+-]+$/.test(type)) {
+    return undefined;
+  }
+
+  var parameters = parts.slice(1).filter(function (parameter) {
+    return parameter !== '';
+  });
+  return [type].concat(parameters).join('; ');
+}
+
+/*
+ * Get file extension of media type, e.g. 'xml' for 'application/atom+xml'
+ * @param mediaType {string} - media type
+ * @returns {string|undefined} - extension or undefined for malformed type
+ */
+function getMediaTypeExtension(mediaType) {
+  var match = /^[^/\s]+\/([^;\s]+)/.exec(String(mediaType).trim());
+  if (!isValue(match)) {
+    return undefined;
+  }
+
+  var subtype = match[1]
+    .toLowerCase()
+    .split('+')
+    .pop()
+    .replace(/^(x-|vnd\.)/, '');
+  return MEDIA_TYPE_EXTENSIONS[subtype] || subtype;
+}
+
 /*
  * Strip common prefix from paths
  * @param paths {array}
@@ -1106,16 +3068,179 @@ function sortBy(array, attr) {
 }
 
 /*
- * Filter object on keys matching the prefix `x-`.
- * @param object {object} - object to fetch properties from
- * @returns {object} - object with only properties prefixed with `x-`
+ * Format Swagger 2.0 path components as URL
+ * @param pathComponents {object} - Swagger 2.0 path components
+ * @returns {string} - base URL
  */
-function getCustomProperties(object) {
-  var result = {};
-  for (var key in object) {
-    if (/^x-/.test(key)) {
-      result[key] = object[key];
+function formatBaseUrl(pathComponents) {
+  var url = pathComponents.basePath || '';
+  if (isValue(pathComponents.host)) {
+    url = '//' + pathComponents.host + url;
+    if (isValue(pathComponents.schemes)) {
+      url = pathComponents.schemes[0] + ':' + url;
     }
   }
-  return result;
+  return url;
+}
+
+/*
+ * Rewrite references to renamed definitions
+ * @param value {*} - Swagger 2.0 object containing references
+ * @param renames {object} - map of old definition names to new ones
+ */
+function renameReferences(value, renames) {
+  if (value === null || typeof value !== 'object') {
+    return;
+  }
+
+  Object.keys(value).forEach(function (key) {
+    var name = /^#\/definitions\/(.*)$/.exec(value[key]);
+    if (key === '$ref' && isValue(name) && isValue(renames[name[1]])) {
+      value[key] = '#/definitions/' + renames[name[1]];
+    } else {
+      renameReferences(value[key], renames);
+    }
+  });
+}
+
+/*
+ * Build operationId from method and path, e.g. 'getPetsByPetId' for
+ * 'GET /pets/{petId}'
+ * @param method {string} - HTTP method
+ * @param path {string} - Swagger 2.0 path
+ * @returns {string} - operationId
+ */
+function buildOperationIdFromPath(method, path) {
+  return path.split('/').reduce(function (operationId, segment) {
+    var parameter = /^{(.+)}$/.exec(segment);
+    if (isValue(parameter)) {
+      segment = 'by_' + parameter[1];
+    }
+    return (
+      operationId +
+      segment
+        .split(/[^a-zA-Z0-9]+/)
+        .map(function (word) {
+          return word.charAt(0).toUpperCase() + word.slice(1);
+        })
+        .join('')
+    );
+  }, method.toLowerCase());
+}
+
+/*
+ * Convert resource name into identifier safe to use in names
+ * @param name {string} - resource name
+ * @returns {string} - name with non-word characters replaced by '_'
+ */
+function toIdentifier(name) {
+  return String(name || '')
+    .replace(/[^\w]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/*
+ * Add node to the group of structurally identical nodes
+ * @param groups {array} - groups with 'node' and its 'occurrences'
+ * @param container {object} - object or array containing the node
+ * @param key {string|number} - key of the node inside container
+ */
+function addOccurrence(groups, container, key) {
+  var node = container[key];
+  if (isValue(node.$ref)) {
+    return;
+  }
+
+  var group = groups.find(function (group) {
+    return isEqual(group.node, node);
+  });
+  if (!isValue(group)) {
+    group = { node: node, occurrences: [] };
+    groups.push(group);
+  }
+  group.occurrences.push({ container: container, key: key });
+}
+
+/*
+ * Replace nodes repeated at least 'threshold' times with references
+ * @param groups {array} - groups built by 'addOccurrence'
+ * @param section {string} - top-level section nodes are moved to
+ * @param threshold {number} - minimal number of occurrences
+ * @param getName {function} - returns desired name of the node
+ * @returns {object} - map of names to hoisted nodes
+ */
+function hoistOccurrences(groups, section, threshold, getName) {
+  var hoisted = {};
+  groups.forEach(function (group) {
+    if (group.occurrences.length < threshold) {
+      return;
+    }
+
+    var name = getUniqueName(hoisted, getName(group.node));
+    hoisted[name] = group.node;
+    group.occurrences.forEach(function (occurrence) {
+      occurrence.container[occurrence.key] = {
+        $ref: '#' + appendPointer('', section, name),
+      };
+    });
+  });
+  return hoisted;
+}
+
+/*
+ * Add numeric suffix to the name if it is already taken
+ * @param taken {object} - map with taken names as keys
+ * @param name {string} - desired name
+ * @returns {string} - name that isn't taken
+ */
+function getUniqueName(taken, name) {
+  var uniqueName = name;
+  for (var i = 2; isValue(taken[uniqueName]); ++i) {
+    uniqueName = name + '_' + i;
+  }
+  return uniqueName;
+}
+
+/*
+ * Pick definitions referenced, directly or indirectly, from the value
+ * @param definitions {object} - Swagger 2.0 definitions
+ * @param value {*} - Swagger 2.0 object containing references
+ * @returns {object} - referenced definitions
+ */
+function pickDefinitions(definitions, value) {
+  var picked = {};
+  var pending = collectReferences(value, []);
+
+  while (pending.length !== 0) {
+    var name = pending.shift().replace(/^#\/definitions\//, '');
+    var definition = definitions[name];
+    if (isValue(definition) && !isValue(picked[name])) {
+      picked[name] = definition;
+      collectReferences(definition, pending);
+    }
+  }
+  return picked;
+}
+
+/*
+ * Pick security definitions required by operations from the paths
+ * @param securityDefinitions {object} - Swagger 2.0 security definitions
+ * @param paths {object} - Swagger 2.0 paths object
+ * @returns {object} - required security definitions
+ */
+function pickSecurityDefinitions(securityDefinitions, paths) {
+  var picked = {};
+  Object.keys(paths).forEach(function (pathString) {
+    var path = paths[pathString];
+    Object.keys(path).forEach(function (method) {
+      (path[method].security || []).forEach(function (requirement) {
+        Object.keys(requirement).forEach(function (name) {
+          if (isValue(securityDefinitions[name])) {
+            picked[name] = securityDefinitions[name];
+          }
+        });
+      });
+    });
+  });
+  return picked;
 }
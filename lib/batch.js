@@ -0,0 +1,330 @@
+/*
+ * @license
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2014 Apigee Corporation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+'use strict';
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var url = require('url');
+
+var documents = require('./documents');
+var SwaggerConverterError = require('./errors').SwaggerConverterError;
+var utils = require('./utils');
+var isValue = utils.isValue;
+var extend = utils.extend;
+var mapLimit = utils.mapLimit;
+var isResourceListing = utils.isResourceListing;
+var countWarnings = utils.countWarnings;
+
+//'worker_threads' requires a flag before Node.js 12
+var workerThreads;
+try {
+  workerThreads = require('worker_threads');
+} catch (error) {
+  workerThreads = null;
+}
+
+module.exports = {
+  convertDirectory: convertDirectory,
+  findResourceListings: findResourceListings,
+};
+
+var WORKER_PATH = path.join(__dirname, 'worker.js');
+var DOCUMENT_EXTENSIONS = ['.json', '.yaml', '.yml'];
+//Maximum number of entries of one directory read at once
+var READ_CONCURRENCY = 8;
+//Options of 'convertDirectory' which aren't passed to 'convertFromUrl'
+var BATCH_OPTIONS = ['outputDirectory', 'format', 'workers', 'workerThreads'];
+
+/*
+ * Find every Swagger 1.x resourceListing in the directory tree and convert it
+ * together with its apiDeclarations. Services are converted in parallel
+ * worker threads, failure of one service doesn't stop others.
+ * @param directory {string} - root of the directory tree
+ * @param options {object} - options of 'convertFromUrl' plus:
+ *  'outputDirectory' to write converted documents to, 'format' of written
+ *  documents, maximum number of simultaneous conversions as 'workers' and
+ *  'workerThreads' set to false to convert in the main thread
+ * @returns {Promise} - resolves to list of services, every one has path of
+ *  'resourceListing' relative to the directory, 'status' which is 'success',
+ *  'warnings', 'invalid' or 'error', list of 'warnings', 'validation' with
+ *  'validate' option, 'error' message and path of written 'output'
+ */
+function convertDirectory(directory, options) {
+  options = options || {};
+
+  //'os.cpus()' is empty in some containers
+  var workers = isValue(options.workers)
+    ? options.workers
+    : Math.max(1, os.cpus().length);
+  if (typeof workers !== 'number' || workers % 1 !== 0 || workers < 1) {
+    return Promise.reject(
+      new SwaggerConverterError('workers option should be a positive integer'),
+    );
+  }
+
+  var convertOptions = {};
+  Object.keys(options).forEach(function (name) {
+    if (BATCH_OPTIONS.indexOf(name) === -1) {
+      convertOptions[name] = options[name];
+    }
+  });
+
+  //Functions can't be passed to worker threads
+  var useWorkers =
+    isValue(workerThreads) &&
+    options.workerThreads !== false &&
+    !containsFunction(convertOptions);
+  var convertService = useWorkers ? convertInWorker : convertInProcess;
+
+  return findResourceListings(directory).then(function (files) {
+    return mapLimit(files, workers, function (file) {
+      var sourceUrl = url.pathToFileURL(path.join(directory, file)).href;
+      return convertService(sourceUrl, convertOptions)
+        .then(function (report) {
+          var status = 'success';
+          if (isValue(report.validation) && !report.validation.valid) {
+            status = 'invalid';
+          } else if (countWarnings(report.warnings) !== 0) {
+            status = 'warnings';
+          }
+
+          return extend(
+            {},
+            {
+              resourceListing: file,
+              status: status,
+              warnings: report.warnings,
+              validation: report.validation,
+              output: writeOutput(report.swagger, file, options),
+            },
+          );
+        })
+        .catch(function (error) {
+          return {
+            resourceListing: file,
+            status: 'error',
+            warnings: [],
+            error: error.message,
+          };
+        });
+    });
+  });
+}
+
+/*
+ * Find Swagger 1.x resourceListings in the directory tree. Every JSON or YAML
+ * document with 'swaggerVersion' and 'apis' but without 'resourcePath', which
+ * is required in apiDeclarations, is treated as resourceListing. Documents
+ * with embedded operations look the same as apiDeclarations missing
+ * 'resourcePath', so they are skipped if resourceListing referencing
+ * apiDeclarations is found in the same or a parent directory. Hidden
+ * directories and 'node_modules' are skipped.
+ * @param directory {string} - root of the directory tree
+ * @returns {Promise} - resolves to sorted list of paths relative to directory
+ */
+function findResourceListings(directory) {
+  var candidates = [];
+
+  function walk(relativePath) {
+    return readDirectory(path.join(directory, relativePath)).then(function (
+      entries,
+    ) {
+      return mapLimit(entries, READ_CONCURRENCY, function (entry) {
+        var entryPath = path.posix.join(relativePath, entry.name);
+        if (entry.isDirectory()) {
+          if (entry.name[0] !== '.' && entry.name !== 'node_modules') {
+            return walk(entryPath);
+          }
+          return Promise.resolve();
+        }
+
+        if (DOCUMENT_EXTENSIONS.indexOf(path.extname(entry.name)) === -1) {
+          return Promise.resolve();
+        }
+        return readResourceListing(path.join(directory, entryPath)).then(
+          function (document) {
+            if (isValue(document)) {
+              candidates.push({
+                file: entryPath,
+                embedded: document.apis.some(function (api) {
+                  return isValue(api.operations);
+                }),
+              });
+            }
+          },
+        );
+      });
+    });
+  }
+
+  return walk('').then(function () {
+    var serviceDirectories = candidates
+      .filter(function (candidate) {
+        return !candidate.embedded;
+      })
+      .map(function (candidate) {
+        return path.posix.dirname(candidate.file);
+      });
+
+    var files = candidates
+      .filter(function (candidate) {
+        var candidateDirectory = path.posix.dirname(candidate.file);
+        return (
+          !candidate.embedded ||
+          !serviceDirectories.some(function (serviceDirectory) {
+            return (
+              serviceDirectory === '.' ||
+              candidateDirectory === serviceDirectory ||
+              candidateDirectory.indexOf(serviceDirectory + '/') === 0
+            );
+          })
+        );
+      })
+      .map(function (candidate) {
+        return candidate.file;
+      });
+
+    return files.sort();
+  });
+}
+
+/*
+ * List entries of the directory
+ * @param directoryPath {string} - path to the directory
+ * @returns {Promise} - resolves to list of 'fs.Dirent' objects
+ */
+function readDirectory(directoryPath) {
+  return new Promise(function (resolve, reject) {
+    fs.readdir(
+      directoryPath,
+      { withFileTypes: true },
+      function (error, entries) {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(entries);
+        }
+      },
+    );
+  });
+}
+
+/*
+ * Read file if it contains Swagger 1.x resourceListing
+ * @param filePath {string} - path to the file
+ * @returns {Promise} - resolves to resourceListing or undefined
+ */
+function readResourceListing(filePath) {
+  return new Promise(function (resolve) {
+    fs.readFile(filePath, 'utf-8', function (error, content) {
+      var document;
+      try {
+        document = error ? undefined : documents.parseDocument(content);
+      } catch (parseError) {
+        document = undefined;
+      }
+      resolve(isResourceListing(document) ? document : undefined);
+    });
+  });
+}
+
+/*
+ * Convert service in the main thread
+ * @param sourceUrl {string} - URL of resourceListing
+ * @param options {object} - options of 'convertFromUrl'
+ * @returns {Promise} - resolves to result of 'convertFromUrl'
+ */
+function convertInProcess(sourceUrl, options) {
+  //Required here since the main module requires this one
+  return require('..').convertFromUrl(sourceUrl, options);
+}
+
+/*
+ * Convert service in a worker thread
+ * @param sourceUrl {string} - URL of resourceListing
+ * @param options {object} - options of 'convertFromUrl'
+ * @returns {Promise} - resolves to result of 'convertFromUrl'
+ */
+function convertInWorker(sourceUrl, options) {
+  return new Promise(function (resolve, reject) {
+    var worker = new workerThreads.Worker(WORKER_PATH, {
+      workerData: { sourceUrl: sourceUrl, options: options },
+    });
+
+    worker.once('message', function (message) {
+      if (isValue(message.error)) {
+        reject(new Error(message.error));
+      } else {
+        resolve(message.report);
+      }
+    });
+    worker.once('error', reject);
+    worker.once('exit', function (code) {
+      reject(new Error('Worker stopped with exit code ' + code));
+    });
+  });
+}
+
+/*
+ * Write converted document next to the place resourceListing has inside
+ * the directory tree
+ * @param document {object} - converted document
+ * @param file {string} - path of resourceListing relative to the directory
+ * @param options {object} - 'outputDirectory' and 'format'
+ * @returns {string|undefined} - path of written file
+ */
+function writeOutput(document, file, options) {
+  if (!isValue(options.outputDirectory)) {
+    return undefined;
+  }
+
+  var format = options.format || 'json';
+  var output = path.join(
+    options.outputDirectory,
+    file.slice(0, -path.extname(file).length) + '.' + format,
+  );
+
+  fs.mkdirSync(path.dirname(output), { recursive: true });
+  fs.writeFileSync(output, documents.serializeDocument(document, format));
+  return output;
+}
+
+/*
+ * Test if value is or contains a function
+ * @param value {*} - value to test
+ * @returns {boolean} - result of test
+ */
+function containsFunction(value) {
+  if (typeof value === 'function') {
+    return true;
+  }
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+  return Object.keys(value).some(function (key) {
+    return containsFunction(value[key]);
+  });
+}
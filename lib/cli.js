@@ -0,0 +1,524 @@
+/*
+ * @license
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2014 Apigee Corporation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var url = require('url');
+
+var swaggerConverter = require('..');
+var utils = require('./utils');
+var isValue = utils.isValue;
+var extend = utils.extend;
+var countWarnings = utils.countWarnings;
+
+var EXIT_CODES = {
+  success: 0,
+  warnings: 1,
+  conversionError: 2,
+  usageError: 3,
+  invalid: 4,
+};
+
+module.exports = {
+  run: run,
+  EXIT_CODES: EXIT_CODES,
+};
+
+//Options of 'convert' function, every one is exposed as '--kebab-case' flag
+var CONVERT_OPTIONS = [
+  {
+    name: 'collectionFormat',
+    type: 'string',
+    description: 'collection format assigned to every array parameter',
+  },
+  {
+    name: 'buildTagsFromPaths',
+    type: 'boolean',
+    description: 'build tags from resource paths instead of resourcePath',
+  },
+  {
+    name: 'splitByBasePath',
+    type: 'boolean',
+    description: 'produce one document per basePath',
+  },
+  {
+    name: 'operationIdStrategy',
+    type: 'string',
+    description: 'nickname, prefix or method-path',
+  },
+  {
+    name: 'modelCollision',
+    type: 'string',
+    description: 'error, keep-first, merge-if-identical or rename',
+  },
+  {
+    name: 'pathCollision',
+    type: 'string',
+    description: 'error, merge, keep-first or keep-last',
+  },
+  {
+    name: 'hoistComponents',
+    type: 'boolean',
+    description: 'share repeated parameters and responses',
+  },
+  {
+    name: 'hoistThreshold',
+    type: 'number',
+    description: 'minimal number of occurrences to share',
+  },
+  {
+    name: 'formatPlaceholder',
+    type: 'string',
+    description: 'substitute, parameter or strip',
+  },
+  {
+    name: 'formatExtension',
+    type: 'string',
+    description: 'extension substituted for {format} placeholder',
+  },
+  {
+    name: 'repairPathParameters',
+    type: 'boolean',
+    description: 'fix path parameters not matching path, on by default',
+  },
+  {
+    name: 'bodyConflict',
+    type: 'string',
+    description: 'prefer-body, prefer-form-data or error',
+  },
+  {
+    name: 'normalizeExtensions',
+    type: 'boolean',
+    description: 'rename X- vendor extensions to x-',
+  },
+  {
+    name: 'normalizeMediaTypes',
+    type: 'boolean',
+    description: 'canonicalize, infer and hoist consumes and produces',
+  },
+  {
+    name: 'validate',
+    type: 'boolean',
+    description: 'validate converted Swagger 2.0 document',
+  },
+  {
+    name: 'target',
+    type: 'string',
+    description: 'swagger-2.0, openapi-3.0 or openapi-3.1',
+  },
+];
+
+var CLI_OPTIONS = [
+  {
+    name: 'output',
+    alias: 'o',
+    type: 'string',
+    description: 'write result to the file instead of stdout',
+  },
+  {
+    name: 'sourceMap',
+    type: 'string',
+    description: 'write source map of converted document to the file',
+  },
+  {
+    name: 'batch',
+    type: 'boolean',
+    description: 'convert every resource listing found in the directory',
+  },
+  {
+    name: 'workers',
+    type: 'number',
+    description: 'maximum number of services converted at once in batch',
+  },
+  {
+    name: 'format',
+    alias: 'f',
+    type: 'string',
+    description: 'json or yaml, by default detected from output file name',
+  },
+  {
+    name: 'concurrency',
+    type: 'number',
+    description: 'maximum number of simultaneous requests',
+  },
+  {
+    name: 'retries',
+    type: 'number',
+    description: 'how many times to retry failed request',
+  },
+  {
+    name: 'timeout',
+    type: 'number',
+    description: 'timeout of HTTP(S) request in milliseconds',
+  },
+  {
+    name: 'quiet',
+    alias: 'q',
+    type: 'boolean',
+    description: 'do not print warnings',
+  },
+  { name: 'help', alias: 'h', type: 'boolean', description: 'show help' },
+  { name: 'version', type: 'boolean', description: 'show version' },
+];
+
+/*
+ * Run command line interface
+ * @param argv {array} - command line arguments without node and script path
+ * @param io {object} - 'stdout' and 'stderr' streams
+ * @returns {Promise} - resolves to exit code
+ */
+function run(argv, io) {
+  var args;
+  try {
+    args = parseArguments(argv);
+  } catch (error) {
+    io.stderr.write(error.message + '\n\n' + getUsage());
+    return Promise.resolve(EXIT_CODES.usageError);
+  }
+
+  if (args.options.help) {
+    io.stdout.write(getUsage());
+    return Promise.resolve(EXIT_CODES.success);
+  }
+
+  if (args.options.version) {
+    io.stdout.write(require('../package.json').version + '\n');
+    return Promise.resolve(EXIT_CODES.success);
+  }
+
+  if (args.sources.length !== 1) {
+    io.stderr.write('Expected exactly one resource listing\n\n' + getUsage());
+    return Promise.resolve(EXIT_CODES.usageError);
+  }
+
+  var format = args.options.format || detectFormat(args.options.output);
+  if (['json', 'yaml'].indexOf(format) === -1) {
+    io.stderr.write('Unsupported format: ' + format + '\n');
+    return Promise.resolve(EXIT_CODES.usageError);
+  }
+
+  var sourceMapFile = args.options.sourceMap;
+
+  if (args.options.batch) {
+    if (isValue(sourceMapFile)) {
+      io.stderr.write('Option --source-map is not supported with --batch\n');
+      return Promise.resolve(EXIT_CODES.usageError);
+    }
+    return runBatch(args.sources[0], args.options, format, io);
+  }
+
+  //'sourceMap' is a file name for command line, but a flag for 'convert'
+  var options = extend({}, args.options);
+  delete options.sourceMap;
+  if (isValue(sourceMapFile)) {
+    options.sourceMap = true;
+  }
+
+  return swaggerConverter
+    .convertFromUrl(toUrl(args.sources[0]), options)
+    .then(function (result) {
+      writeOutput(
+        swaggerConverter.serializeDocument(result.swagger, format),
+        args.options.output,
+        io,
+      );
+      if (isValue(sourceMapFile)) {
+        fs.writeFileSync(
+          sourceMapFile,
+          JSON.stringify(result.sourceMap, null, 2) + '\n',
+        );
+      }
+
+      if (!args.options.quiet) {
+        result.warnings.forEach(function (warning) {
+          io.stderr.write(formatWarning(warning) + '\n');
+        });
+      }
+
+      //Validation errors are printed even in quiet mode, like other failures
+      if (isValue(result.validation) && !result.validation.valid) {
+        result.validation.errors.forEach(function (error) {
+          io.stderr.write(formatValidationError(error) + '\n');
+        });
+        return EXIT_CODES.invalid;
+      }
+
+      return countWarnings(result.warnings) === 0
+        ? EXIT_CODES.success
+        : EXIT_CODES.warnings;
+    })
+    .catch(function (error) {
+      io.stderr.write(error.name + ': ' + error.message + '\n');
+      return error instanceof swaggerConverter.SwaggerConverterError
+        ? EXIT_CODES.conversionError
+        : EXIT_CODES.usageError;
+    });
+}
+
+/*
+ * Convert every service found in the directory and print summary
+ * @param directory {string} - directory to search resource listings in
+ * @param options {object} - parsed command line options
+ * @param format {string} - 'json' or 'yaml'
+ * @param io {object} - 'stdout' and 'stderr' streams
+ * @returns {Promise} - resolves to exit code
+ */
+function runBatch(directory, options, format, io) {
+  var batchOptions = extend({}, options, {
+    outputDirectory: options.output,
+    format: format,
+  });
+
+  return swaggerConverter
+    .convertDirectory(directory, batchOptions)
+    .then(function (services) {
+      var exitCode = EXIT_CODES.success;
+
+      services.forEach(function (service) {
+        var line = service.status + ' ' + service.resourceListing;
+        if (service.status === 'error') {
+          line += ': ' + service.error;
+          exitCode = EXIT_CODES.conversionError;
+        } else if (service.status === 'invalid') {
+          line += ' (' + service.validation.errors.length + ' errors)';
+          if (exitCode !== EXIT_CODES.conversionError) {
+            exitCode = EXIT_CODES.invalid;
+          }
+        } else if (service.status === 'warnings') {
+          line += ' (' + countWarnings(service.warnings) + ' warnings)';
+          if (exitCode === EXIT_CODES.success) {
+            exitCode = EXIT_CODES.warnings;
+          }
+        }
+        io.stdout.write(line + '\n');
+
+        if (!options.quiet) {
+          service.warnings.forEach(function (warning) {
+            io.stderr.write(
+              service.resourceListing + ' ' + formatWarning(warning) + '\n',
+            );
+          });
+        }
+        if (service.status === 'invalid') {
+          service.validation.errors.forEach(function (error) {
+            io.stderr.write(
+              service.resourceListing +
+                ' ' +
+                formatValidationError(error) +
+                '\n',
+            );
+          });
+        }
+      });
+
+      return exitCode;
+    })
+    .catch(function (error) {
+      io.stderr.write(error.name + ': ' + error.message + '\n');
+      return EXIT_CODES.usageError;
+    });
+}
+
+/*
+ * Parse command line arguments
+ * @param argv {array} - command line arguments
+ * @returns {object} - 'options' map and list of 'sources'
+ * @throws {Error} - on unknown or malformed argument
+ */
+function parseArguments(argv) {
+  var definitions = CONVERT_OPTIONS.concat(CLI_OPTIONS);
+  var options = {};
+  var sources = [];
+
+  for (var i = 0; i < argv.length; ++i) {
+    var arg = argv[i];
+
+    if (arg[0] !== '-') {
+      sources.push(arg);
+      continue;
+    }
+
+    //Support both '--flag value' and '--flag=value' forms
+    var equalIndex = arg.indexOf('=');
+    var value = equalIndex === -1 ? undefined : arg.slice(equalIndex + 1);
+    if (equalIndex !== -1) {
+      arg = arg.slice(0, equalIndex);
+    }
+
+    var definition = findDefinition(definitions, arg);
+    if (!isValue(definition)) {
+      throw new Error('Unknown option: ' + arg);
+    }
+
+    if (definition.type === 'boolean') {
+      options[definition.name] = value !== 'false';
+      continue;
+    }
+
+    if (!isValue(value)) {
+      value = argv[++i];
+    }
+    if (!isValue(value)) {
+      throw new Error('Missing value for option: ' + arg);
+    }
+
+    if (definition.type === 'number') {
+      value = Number(value);
+      if (isNaN(value)) {
+        throw new Error('Expected number for option: ' + arg);
+      }
+    }
+    options[definition.name] = value;
+  }
+
+  return { options: options, sources: sources };
+}
+
+/*
+ * Find option definition by command line flag
+ * @param definitions {array} - option definitions
+ * @param flag {string} - flag, e.g. '--split-by-base-path' or '-o'
+ * @returns {object|undefined} - option definition
+ */
+function findDefinition(definitions, flag) {
+  return definitions.find(function (definition) {
+    return (
+      flag === '--' + toKebabCase(definition.name) ||
+      (isValue(definition.alias) && flag === '-' + definition.alias)
+    );
+  });
+}
+
+/*
+ * Build usage text
+ * @returns {string} - usage text
+ */
+function getUsage() {
+  var lines = [
+    'Usage: swagger-converter [options] <resource listing file or URL>',
+    '       swagger-converter --batch [options] <directory>',
+    '',
+    'Options:',
+  ];
+
+  CONVERT_OPTIONS.concat(CLI_OPTIONS).forEach(function (definition) {
+    var flag = '--' + toKebabCase(definition.name);
+    if (isValue(definition.alias)) {
+      flag = '-' + definition.alias + ', ' + flag;
+    }
+    if (definition.type !== 'boolean') {
+      flag += ' <' + definition.type + '>';
+    }
+    lines.push('  ' + flag.padEnd(34) + definition.description);
+  });
+
+  lines.push(
+    '',
+    'Exit codes:',
+    '  0  converted without warnings',
+    '  1  converted with warnings',
+    '  2  conversion failed, in batch mode for at least one service',
+    '  3  invalid arguments or unexpected error',
+    '  4  converted document is invalid, with --validate only',
+    '',
+  );
+  return lines.join('\n');
+}
+
+/*
+ * Convert file path into URL, URLs are returned as is
+ * @param source {string} - file path or URL
+ * @returns {string} - URL
+ */
+function toUrl(source) {
+  if (/^[a-z][a-z0-9+.-]+:/i.test(source)) {
+    return source;
+  }
+  return url.pathToFileURL(path.resolve(source)).href;
+}
+
+/*
+ * Detect output format from file name
+ * @param output {string} - output file name
+ * @returns {string} - 'json' or 'yaml'
+ */
+function detectFormat(output) {
+  return /\.ya?ml$/i.test(output || '') ? 'yaml' : 'json';
+}
+
+/*
+ * Write serialized document to the file or stdout
+ * @param content {string} - serialized document
+ * @param output {string} - output file name
+ * @param io {object} - 'stdout' and 'stderr' streams
+ */
+function writeOutput(content, output, io) {
+  if (isValue(output)) {
+    fs.writeFileSync(output, content);
+  } else {
+    io.stdout.write(content);
+  }
+}
+
+/*
+ * Format warning as a single line
+ * @param warning {object} - warning from 'convertWithReport'
+ * @returns {string} - formatted warning
+ */
+function formatWarning(warning) {
+  var location = warning.location;
+  return (
+    warning.severity +
+    ' ' +
+    warning.code +
+    ' ' +
+    (location.declarationPath || '') +
+    '#' +
+    location.pointer +
+    ': ' +
+    warning.message
+  );
+}
+
+/*
+ * Format validation error as a single line
+ * @param error {object} - error from 'validation' of 'convertWithReport'
+ * @returns {string} - formatted error
+ */
+function formatValidationError(error) {
+  return 'invalid ' + error.code + ' #' + error.pointer + ': ' + error.message;
+}
+
+/*
+ * Convert camelCase name into kebab-case
+ * @param name {string} - camelCase name
+ * @returns {string} - kebab-case name
+ */
+function toKebabCase(name) {
+  return name.replace(/[A-Z]/g, function (letter) {
+    return '-' + letter.toLowerCase();
+  });
+}
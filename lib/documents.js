@@ -0,0 +1,84 @@
+/*
+ * @license
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2014 Apigee Corporation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+'use strict';
+
+var yaml = require('js-yaml');
+
+var SwaggerConverterError = require('./errors').SwaggerConverterError;
+
+module.exports = {
+  parseDocument: parseDocument,
+  serializeDocument: serializeDocument,
+};
+
+/*
+ * Parse JSON or YAML document. Documents starting with '{' or '[' are parsed
+ * as JSON, anything else as YAML.
+ * @param content {string|object} - document content or already parsed
+ *  document, which is returned as is
+ * @returns {object} - parsed document
+ * @throws {SwaggerConverterError}
+ */
+function parseDocument(content) {
+  if (typeof content !== 'string') {
+    return content;
+  }
+
+  if (/^\s*[{[]/.test(content)) {
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new SwaggerConverterError(
+        'Invalid JSON document: ' + error.message,
+      );
+    }
+  }
+
+  try {
+    //Core schema keeps dates and other YAML specific types as strings
+    return yaml.load(content, { schema: yaml.CORE_SCHEMA });
+  } catch (error) {
+    throw new SwaggerConverterError('Invalid YAML document: ' + error.message);
+  }
+}
+
+/*
+ * Serialize document into JSON or YAML. YAML keys are sorted the same way
+ * converter iterates over them, so output is stable between runs.
+ * @param document {object} - document to serialize
+ * @param format {string} - 'json' or 'yaml', default 'json'
+ * @returns {string} - serialized document
+ * @throws {SwaggerConverterError}
+ */
+function serializeDocument(document, format) {
+  switch (format || 'json') {
+    case 'json':
+      return JSON.stringify(document, null, 2) + '\n';
+    case 'yaml':
+      return yaml.dump(document, { noRefs: true, sortKeys: true });
+  }
+
+  throw new SwaggerConverterError('Unsupported format: ' + format);
+}
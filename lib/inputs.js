@@ -0,0 +1,269 @@
+/*
+ * @license
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2014 Apigee Corporation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+'use strict';
+
+var SwaggerConverterError = require('./errors').SwaggerConverterError;
+var parseDocument = require('./documents').parseDocument;
+var utils = require('./utils');
+var isValue = utils.isValue;
+var isResourceListing = utils.isResourceListing;
+
+module.exports = {
+  normalizeInput: normalizeInput,
+};
+
+//Rules used to match apiDeclaration to resourceListing path, in order of
+//preference. Exact keys are matched before any of them.
+var MATCH_RULES = [
+  {
+    name: 'key',
+    test: function (candidate, path) {
+      return normalizePath(candidate.key) === path;
+    },
+  },
+  {
+    name: 'resourcePath',
+    test: function (candidate, path) {
+      return normalizePath(candidate.document.resourcePath) === path;
+    },
+  },
+  {
+    name: 'path suffix',
+    test: function (candidate, path) {
+      return (
+        isPathSuffix(normalizePath(candidate.key), path) ||
+        isPathSuffix(normalizePath(candidate.document.resourcePath), path)
+      );
+    },
+  },
+];
+
+/*
+ * Bring input of 'convert' into resourceListing and a map of apiDeclarations
+ * keyed by resourceListing paths. Besides such map it accepts array of
+ * apiDeclarations, map with keys which differ from resourceListing paths and
+ * single document with resourceListing and apiDeclarations merged, either as
+ * an array of documents, '{resourceListing, apiDeclarations}' object or
+ * resourceListing with 'apiDeclarations' property.
+ * @param resourceListing {object|array|string} - resourceListing or merged
+ *  document, JSON or YAML string is parsed
+ * @param apiDeclarations {object|array} - map or list of apiDeclarations,
+ *  either objects or JSON or YAML strings
+ * @returns {object} - 'resourceListing', 'apiDeclarations' map and list of
+ *  'matches' made by any rule other than exact key, every one has 'path',
+ *  'source' and 'rule'
+ * @throws {SwaggerConverterError} - if apiDeclaration matches ambiguously
+ */
+function normalizeInput(resourceListing, apiDeclarations) {
+  var merged = splitMergedDocument(parseDocument(resourceListing));
+  var candidates = toCandidates(merged.apiDeclarations).concat(
+    toCandidates(apiDeclarations),
+  );
+
+  var paths = [];
+  (merged.resourceListing.apis || []).forEach(function (api) {
+    if (isValue(api.path) && !isValue(api.operations)) {
+      paths.push(api.path);
+    }
+  });
+
+  //Exact keys go first, so other rules can't take their apiDeclarations
+  var result = {};
+  paths.forEach(function (path) {
+    var candidate = candidates.find(function (candidate) {
+      return !candidate.used && candidate.key === path;
+    });
+    if (isValue(candidate)) {
+      candidate.used = true;
+      result[path] = candidate.document;
+    }
+  });
+
+  var matches = [];
+  paths.forEach(function (path) {
+    if (isValue(result[path])) {
+      return;
+    }
+
+    var normalized = normalizePath(path);
+    MATCH_RULES.some(function (rule) {
+      var found = candidates.filter(function (candidate) {
+        return !candidate.used && rule.test(candidate, normalized);
+      });
+
+      if (found.length > 1) {
+        throw new SwaggerConverterError(
+          'Ambiguous apiDeclaration for "' +
+            path +
+            '": ' +
+            found.map(getLabel).join(', ') +
+            ' match it by ' +
+            rule.name +
+            ', pass apiDeclarations keyed by resourceListing paths instead',
+        );
+      }
+
+      if (found.length === 1) {
+        found[0].used = true;
+        result[path] = found[0].document;
+        matches.push({
+          path: path,
+          source: getLabel(found[0]),
+          rule: rule.name,
+        });
+        return true;
+      }
+      return false;
+    });
+  });
+
+  return {
+    resourceListing: merged.resourceListing,
+    apiDeclarations: result,
+    matches: matches,
+  };
+}
+
+/*
+ * Split document with resourceListing and apiDeclarations merged
+ * @param document {object|array} - resourceListing or merged document
+ * @returns {object} - 'resourceListing' and 'apiDeclarations', the latter is
+ *  undefined if document is a plain resourceListing
+ * @throws {SwaggerConverterError} - if array has no single resourceListing
+ */
+function splitMergedDocument(document) {
+  if (Array.isArray(document)) {
+    var documents = document.map(parseDocument);
+    var listings = documents.filter(isResourceListing);
+    if (listings.length !== 1) {
+      throw new SwaggerConverterError(
+        'Merged document should contain exactly one resourceListing, found ' +
+          listings.length,
+      );
+    }
+    return {
+      resourceListing: listings[0],
+      apiDeclarations: documents.filter(function (item) {
+        return item !== listings[0];
+      }),
+    };
+  }
+
+  if (
+    isValue(document) &&
+    !isValue(document.swaggerVersion) &&
+    isValue(document.resourceListing)
+  ) {
+    return {
+      resourceListing: parseDocument(document.resourceListing),
+      apiDeclarations: document.apiDeclarations,
+    };
+  }
+
+  if (isValue(document) && isValue(document.apiDeclarations)) {
+    var resourceListing = {};
+    Object.keys(document).forEach(function (key) {
+      if (key !== 'apiDeclarations') {
+        resourceListing[key] = document[key];
+      }
+    });
+    return {
+      resourceListing: resourceListing,
+      apiDeclarations: document.apiDeclarations,
+    };
+  }
+
+  return { resourceListing: document };
+}
+
+/*
+ * Turn map or list of apiDeclarations into list of match candidates
+ * @param apiDeclarations {object|array} - map or list of apiDeclarations
+ * @returns {array} - list of candidates with 'key', 'index' and 'document'
+ */
+function toCandidates(apiDeclarations) {
+  if (!isValue(apiDeclarations)) {
+    return [];
+  }
+
+  if (Array.isArray(apiDeclarations)) {
+    return apiDeclarations.map(function (document, index) {
+      return { index: index, document: parseDocument(document) };
+    });
+  }
+
+  return Object.keys(apiDeclarations).map(function (key) {
+    return { key: key, document: parseDocument(apiDeclarations[key]) };
+  });
+}
+
+/*
+ * Describe candidate in error messages and warnings
+ * @param candidate {object} - match candidate
+ * @returns {string} - key, resourcePath or index of apiDeclaration
+ */
+function getLabel(candidate) {
+  if (isValue(candidate.key)) {
+    return '"' + candidate.key + '"';
+  }
+  var resourcePath = candidate.document.resourcePath;
+  return isValue(resourcePath)
+    ? 'resourcePath "' + resourcePath + '"'
+    : '#' + candidate.index;
+}
+
+/*
+ * Normalize path for matching: drops origin of absolute URLs, '{format}'
+ * and file extensions, leading and trailing slashes are unified.
+ * @param path {string} - path, key or resourcePath
+ * @returns {string|undefined} - normalized path
+ */
+function normalizePath(path) {
+  if (typeof path !== 'string') {
+    return undefined;
+  }
+
+  path = path
+    .replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*/i, '')
+    .replace(/[?#].*$/, '')
+    .replace(/\.(\{format\}|json|ya?ml)(?=\/|$)/g, '')
+    .replace(/\/+$/, '');
+  return path[0] === '/' ? path : '/' + path;
+}
+
+/*
+ * Test if one path ends with another on segment boundary
+ * @param a {string} - normalized path
+ * @param b {string} - normalized path
+ * @returns {boolean} - result of test
+ */
+function isPathSuffix(a, b) {
+  if (!isValue(a) || a === '/' || b === '/') {
+    return false;
+  }
+  var longer = a.length > b.length ? a : b;
+  var shorter = a.length > b.length ? b : a;
+  return longer.slice(-shorter.length) === shorter;
+}
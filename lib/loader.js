@@ -0,0 +1,367 @@
+/*
+ * @license
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2014 Apigee Corporation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+'use strict';
+
+var fs = require('fs');
+var http = require('http');
+var https = require('https');
+var url = require('url');
+var URI = require('urijs');
+
+var SwaggerConverterError = require('./errors').SwaggerConverterError;
+var listApiDeclarations = require('./declarations').listApiDeclarations;
+var parseDocument = require('./documents').parseDocument;
+var utils = require('./utils');
+var isValue = utils.isValue;
+var mapLimit = utils.mapLimit;
+var isResourceListing = utils.isResourceListing;
+
+module.exports = {
+  loadFromUrl: loadFromUrl,
+};
+
+//Locations probed when source URL doesn't point to resourceListing itself
+var DISCOVERY_SUFFIXES = ['/api-docs', '/api-docs.json', '.json'];
+var MAX_REDIRECTS = 5;
+//Default timeout of HTTP(S) request and delay before the first retry, in ms
+var DEFAULT_TIMEOUT = 30000;
+var DEFAULT_RETRY_DELAY = 500;
+//Error codes of network failures which may succeed on the next attempt
+var TRANSIENT_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'EPIPE',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+];
+//Extensions tried for local files
+var FILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+/*
+ * Fetch Swagger 1.x resourceListing and every apiDeclaration it references.
+ * @param sourceUrl {string} - URL of resourceListing or root URL of the API
+ * @param options {object} - 'loader', 'concurrency', 'retries',
+ *  'retryDelay' and 'timeout'
+ * @returns {Promise} - resolves to object with 'sourceUrl' of resourceListing,
+ *  'resourceListing', 'apiDeclarations' and 'fetched' list of requests
+ */
+function loadFromUrl(sourceUrl, options) {
+  var timeout = isValue(options.timeout) ? options.timeout : DEFAULT_TIMEOUT;
+  var loader =
+    options.loader ||
+    function (documentUrl) {
+      return defaultLoader(documentUrl, timeout);
+    };
+  var retries = isValue(options.retries) ? options.retries : 2;
+  var retryDelay = isValue(options.retryDelay)
+    ? options.retryDelay
+    : DEFAULT_RETRY_DELAY;
+  var concurrency = options.concurrency || 4;
+  var fetched = [];
+
+  function fetch(documentUrl, declarationPath) {
+    var record = {
+      url: documentUrl,
+      declarationPath: declarationPath,
+      attempts: 0,
+    };
+    fetched.push(record);
+
+    function attempt() {
+      record.attempts += 1;
+      return Promise.resolve(documentUrl)
+        .then(loader)
+        .catch(function (error) {
+          if (record.attempts <= retries && isRetryable(error)) {
+            //Delay is doubled after every failed attempt
+            return delay(retryDelay * Math.pow(2, record.attempts - 1)).then(
+              attempt,
+            );
+          }
+          record.error = error.message;
+          throw error;
+        });
+    }
+
+    return attempt().then(function (content) {
+      try {
+        if (Buffer.isBuffer(content)) {
+          content = content.toString('utf-8');
+        }
+        return parseDocument(content);
+      } catch (error) {
+        record.error = error.message;
+        throw error;
+      }
+    });
+  }
+
+  return discoverResourceListing(sourceUrl, fetch).then(function (found) {
+    var urls = listApiDeclarations(found.sourceUrl, found.resourceListing);
+    var paths = Object.keys(urls);
+
+    return mapLimit(paths, concurrency, function (path) {
+      return fetch(urls[path], path).catch(function (error) {
+        throw new SwaggerConverterError(
+          'Unable to load apiDeclaration "' + path + '": ' + error.message,
+        );
+      });
+    }).then(function (documents) {
+      var apiDeclarations = {};
+      paths.forEach(function (path, index) {
+        apiDeclarations[path] = documents[index];
+      });
+
+      return {
+        sourceUrl: found.sourceUrl,
+        resourceListing: found.resourceListing,
+        apiDeclarations: apiDeclarations,
+        fetched: fetched,
+      };
+    });
+  });
+}
+
+/*
+ * Find resourceListing at source URL or at one of common locations near it.
+ * @param sourceUrl {string} - URL of resourceListing or root URL of the API
+ * @param fetch {function} - fetch and parse document
+ * @returns {Promise} - resolves to object with 'sourceUrl' and 'resourceListing'
+ */
+function discoverResourceListing(sourceUrl, fetch) {
+  var candidates = [sourceUrl].concat(getDiscoveryUrls(sourceUrl));
+  var firstError;
+
+  function probe(index) {
+    if (index === candidates.length) {
+      throw new SwaggerConverterError(
+        'Unable to find resourceListing at ' +
+          sourceUrl +
+          (isValue(firstError) ? ': ' + firstError.message : ''),
+      );
+    }
+
+    return fetch(candidates[index], null).then(
+      function (document) {
+        if (isResourceListing(document)) {
+          return { sourceUrl: candidates[index], resourceListing: document };
+        }
+        return probe(index + 1);
+      },
+      function (error) {
+        firstError = firstError || error;
+        return probe(index + 1);
+      },
+    );
+  }
+
+  return probe(0);
+}
+
+/*
+ * Get common resourceListing locations relative to the URL
+ * @param sourceUrl {string} - root URL of the API
+ * @returns {array} - list of URLs
+ */
+function getDiscoveryUrls(sourceUrl) {
+  var uri = URI(sourceUrl);
+  var path = uri.path().replace(/\/$/, '');
+
+  return DISCOVERY_SUFFIXES.filter(function (suffix) {
+    return !new RegExp(suffix.replace('.', '\\.') + '$').test(path);
+  }).map(function (suffix) {
+    return uri
+      .clone()
+      .path(path + suffix)
+      .href();
+  });
+}
+
+/*
+ * Loader used when none is specified, dispatches on the URL protocol.
+ * URLs without protocol are treated as local file paths.
+ * @param documentUrl {string} - URL of the document
+ * @param timeout {number} - timeout of HTTP(S) request in ms
+ * @returns {Promise} - resolves to document content
+ */
+function defaultLoader(documentUrl, timeout) {
+  var protocol = URI(documentUrl).protocol();
+
+  switch (protocol) {
+    case 'http':
+    case 'https':
+      return httpLoader(documentUrl, timeout);
+    case 'file':
+      return fileLoader(url.fileURLToPath(documentUrl));
+    case '':
+      return fileLoader(documentUrl);
+  }
+
+  return Promise.reject(
+    new SwaggerConverterError('Unsupported protocol: ' + protocol),
+  );
+}
+
+/*
+ * Load document over HTTP(S) following redirects
+ * @param documentUrl {string} - URL of the document
+ * @param timeout {number} - timeout of every request in ms
+ * @param redirects {number} - number of redirects already followed
+ * @returns {Promise} - resolves to document content
+ */
+function httpLoader(documentUrl, timeout, redirects) {
+  redirects = redirects || 0;
+  var client = /^https:/i.test(documentUrl) ? https : http;
+
+  return new Promise(function (resolve, reject) {
+    var request = client.get(
+      documentUrl,
+      { headers: { Accept: 'application/json, application/yaml;q=0.9' } },
+      function (response) {
+        var statusCode = response.statusCode;
+        var location = response.headers.location;
+
+        if (statusCode >= 300 && statusCode < 400 && isValue(location)) {
+          response.resume();
+          if (redirects >= MAX_REDIRECTS) {
+            reject(
+              new SwaggerConverterError('Too many redirects: ' + documentUrl),
+            );
+            return;
+          }
+          var target = URI(location).absoluteTo(documentUrl).href();
+          resolve(httpLoader(target, timeout, redirects + 1));
+          return;
+        }
+
+        if (statusCode < 200 || statusCode >= 300) {
+          response.resume();
+          var error = new SwaggerConverterError(
+            'Request to ' + documentUrl + ' failed with status ' + statusCode,
+          );
+          error.statusCode = statusCode;
+          reject(error);
+          return;
+        }
+
+        var chunks = [];
+        response.on('data', function (chunk) {
+          chunks.push(chunk);
+        });
+        response.on('end', function () {
+          resolve(Buffer.concat(chunks).toString('utf-8'));
+        });
+        response.on('error', reject);
+      },
+    );
+    request.on('error', reject);
+    request.setTimeout(timeout, function () {
+      var error = new Error(
+        'Request to ' + documentUrl + ' timed out after ' + timeout + 'ms',
+      );
+      error.code = 'ETIMEDOUT';
+      request.destroy(error);
+    });
+  });
+}
+
+/*
+ * Load document from file system. Swagger 1.2 resolves apiDeclarations
+ * relative to resourceListing URL, e.g. 'index.json/pet', so when such path
+ * doesn't exist files next to resourceListing are tried. Paths are resolved
+ * with '.json' extension, so YAML files with the same name are tried too.
+ * @param filePath {string} - path to the file
+ * @returns {Promise} - resolves to document content
+ */
+function fileLoader(filePath) {
+  var sibling = filePath.replace(/\/[^/]+\.(json|ya?ml)(?=\/)/, '');
+  var paths = sibling !== filePath ? [filePath, sibling] : [filePath];
+  var candidates = [];
+  paths.forEach(function (candidate) {
+    var stem = candidate.replace(/\.json$/, '');
+    candidates.push(candidate);
+    FILE_EXTENSIONS.forEach(function (extension) {
+      if (stem + extension !== candidate) {
+        candidates.push(stem + extension);
+      }
+    });
+  });
+
+  function read(index) {
+    return new Promise(function (resolve, reject) {
+      fs.readFile(candidates[index], 'utf-8', function (error, content) {
+        if (isValue(error)) {
+          reject(error);
+        } else {
+          resolve(content);
+        }
+      });
+    }).catch(function (error) {
+      if (index + 1 < candidates.length && isMissingFile(error)) {
+        return read(index + 1);
+      }
+      throw error;
+    });
+  }
+
+  return read(0);
+}
+
+/*
+ * Test if loading failed because file doesn't exist
+ * @param error {Error} - loader error
+ * @returns {boolean} - result of test
+ */
+function isMissingFile(error) {
+  return ['ENOENT', 'ENOTDIR', 'EISDIR'].indexOf(error.code) !== -1;
+}
+
+/*
+ * Test if loading may succeed on the next attempt, only network failures and
+ * server errors(5xx) are retried. Errors of custom loader without 'code' or
+ * 'statusCode' are never retried.
+ * @param error {Error} - loader error
+ * @returns {boolean} - result of test
+ */
+function isRetryable(error) {
+  if (isValue(error.statusCode)) {
+    return error.statusCode >= 500;
+  }
+  return TRANSIENT_ERROR_CODES.indexOf(error.code) !== -1;
+}
+
+/*
+ * Wait before the next attempt
+ * @param ms {number} - delay in ms
+ * @returns {Promise} - resolves after the delay
+ */
+function delay(ms) {
+  return new Promise(function (resolve) {
+    setTimeout(resolve, ms);
+  });
+}
@@ -0,0 +1,633 @@
+/*
+ * @license
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2014 Apigee Corporation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+'use strict';
+
+var utils = require('./utils');
+var extend = utils.extend;
+var undefinedIfEmpty = utils.undefinedIfEmpty;
+var isValue = utils.isValue;
+var isEmpty = utils.isEmpty;
+var isEqual = utils.isEqual;
+var getCustomProperties = utils.getCustomProperties;
+var forEachKey = utils.forEachKey;
+
+module.exports = {
+  convertToOpenApi3: convertToOpenApi3,
+};
+
+var DEFAULT_MEDIA_TYPE = 'application/json';
+
+//Swagger 2.0 parameter properties that belong to 'schema' in OpenAPI 3.x
+var SCHEMA_KEYWORDS = [
+  'type',
+  'format',
+  'items',
+  'default',
+  'maximum',
+  'exclusiveMaximum',
+  'minimum',
+  'exclusiveMinimum',
+  'maxLength',
+  'minLength',
+  'pattern',
+  'maxItems',
+  'minItems',
+  'uniqueItems',
+  'enum',
+  'multipleOf',
+];
+
+var FLOWS = {
+  implicit: 'implicit',
+  accessCode: 'authorizationCode',
+  password: 'password',
+  application: 'clientCredentials',
+};
+
+/*
+ * Converts Swagger 2.0 document built by converter into OpenAPI 3.x document.
+ * @param swagger {object} - Swagger 2.0 document
+ * @param options {object} - 'version' is either '3.0' or '3.1',
+ *  'securityNamesMap' maps Swagger 1.x authorization names to names of
+ *  Swagger 2.0 security definitions, optional 'track' callback is called
+ *  with every OpenAPI 3.x node and Swagger 2.0 node it was built from and
+ *  'normalizeExtensions' keeps vendor extensions with upper case prefix
+ * @returns {object} - OpenAPI 3.x document
+ */
+function convertToOpenApi3(swagger, options) {
+  var version = options.version;
+  var context = {
+    version: version,
+    track: options.track || track,
+    normalizeExtensions: options.normalizeExtensions === true,
+  };
+  var security = buildSecuritySchemes(
+    swagger.securityDefinitions,
+    options.securityNamesMap,
+    context,
+  );
+
+  var paths = {};
+  forEachKey(swagger.paths, function (path, pathString) {
+    paths[pathString] = context.track(
+      getCustomProperties(path, context.normalizeExtensions),
+      path,
+    );
+    forEachKey(path, function (operation, method) {
+      if (/^x-/i.test(method)) {
+        return;
+      }
+      paths[pathString][method] = buildOperation(
+        operation,
+        swagger,
+        security.names,
+        context,
+      );
+    });
+  });
+
+  var schemas = {};
+  forEachKey(swagger.definitions, function (definition, name) {
+    schemas[name] = buildSchema(definition, context);
+  });
+
+  var responses = {};
+  forEachKey(swagger.responses, function (response, name) {
+    responses[name] = buildResponse(response, swagger.produces, context);
+  });
+
+  //Shared body and form parameters become part of 'requestBody' of every
+  //operation using them, so only other parameters are kept as components
+  var parameters = {};
+  forEachKey(swagger.parameters, function (parameter, name) {
+    if (['body', 'formData'].indexOf(parameter.in) === -1) {
+      parameters[name] = buildParameter(parameter, context);
+    }
+  });
+
+  return extend({}, getCustomProperties(swagger, context.normalizeExtensions), {
+    openapi: version === '3.1' ? '3.1.0' : '3.0.3',
+    info: swagger.info,
+    servers: undefinedIfEmpty(buildServers(swagger)),
+    tags: swagger.tags,
+    paths: paths,
+    components: undefinedIfEmpty(
+      extend(
+        {},
+        {
+          schemas: undefinedIfEmpty(schemas),
+          responses: undefinedIfEmpty(responses),
+          parameters: undefinedIfEmpty(parameters),
+          securitySchemes: undefinedIfEmpty(security.schemes),
+        },
+      ),
+    ),
+  });
+}
+
+/*
+ * Builds "servers" section from Swagger 2.0 path components
+ * @param swagger {object} - Swagger 2.0 document
+ * @returns {array} - OpenAPI 3.x servers
+ */
+function buildServers(swagger) {
+  var basePath = swagger.basePath || '';
+
+  if (!isValue(swagger.host)) {
+    return isValue(basePath) ? [{ url: basePath }] : [];
+  }
+
+  if (isEmpty(swagger.schemes)) {
+    return [{ url: '//' + swagger.host + basePath }];
+  }
+
+  return swagger.schemes.map(function (scheme) {
+    return { url: scheme + '://' + swagger.host + basePath };
+  });
+}
+
+/*
+ * Builds OpenAPI 3.x security schemes. Swagger 1.x authorizations with
+ * multiple grant types were split into one definition per flow, here they
+ * merged back into single scheme with multiple flows.
+ * @param securityDefinitions {object} - Swagger 2.0 security definitions
+ * @param securityNamesMap {object} - Swagger 1.x to Swagger 2.0 names
+ * @param context {object} - OpenAPI 'version' and 'track' callback
+ * @returns {object} - 'schemes' is OpenAPI 3.x security schemes and 'names'
+ *  maps Swagger 2.0 names to OpenAPI 3.x names
+ */
+function buildSecuritySchemes(securityDefinitions, securityNamesMap, context) {
+  var schemes = {};
+  var names = {};
+
+  securityDefinitions = securityDefinitions || {};
+
+  forEachKey(securityNamesMap, function (newNames, oldName) {
+    newNames = newNames.filter(function (name) {
+      return isValue(securityDefinitions[name]);
+    });
+    if (newNames.length === 0 || newNames[0] === oldName) {
+      return;
+    }
+
+    var scheme = { type: 'oauth2', flows: {} };
+    newNames.forEach(function (name) {
+      var definition = securityDefinitions[name];
+      extend(scheme, { description: definition.description });
+      scheme.flows[FLOWS[definition.flow]] = buildFlow(definition);
+      names[name] = oldName;
+      context.track(scheme, definition);
+    });
+    schemes[oldName] = scheme;
+  });
+
+  forEachKey(securityDefinitions, function (definition, name) {
+    if (isValue(names[name])) {
+      return;
+    }
+
+    names[name] = name;
+    schemes[name] = context.track(
+      buildSecurityScheme(definition, context),
+      definition,
+    );
+  });
+
+  return { schemes: schemes, names: names };
+}
+
+/*
+ * Converts Swagger 2.0 security definition to OpenAPI 3.x security scheme
+ * @param definition {object} - Swagger 2.0 security definition
+ * @param context {object} - conversion context
+ * @returns {object} - OpenAPI 3.x security scheme
+ */
+function buildSecurityScheme(definition, context) {
+  var scheme = extend(
+    {},
+    getCustomProperties(definition, context.normalizeExtensions),
+    {
+      type: definition.type,
+      description: definition.description,
+    },
+  );
+
+  switch (definition.type) {
+    case 'basic':
+      return extend(scheme, { type: 'http', scheme: 'basic' });
+
+    case 'apiKey':
+      return extend(scheme, { in: definition.in, name: definition.name });
+
+    case 'oauth2':
+      scheme.flows = {};
+      if (isValue(FLOWS[definition.flow])) {
+        scheme.flows[FLOWS[definition.flow]] = buildFlow(definition);
+      }
+      return scheme;
+  }
+
+  return scheme;
+}
+
+/*
+ * Builds OpenAPI 3.x OAuth flow from Swagger 2.0 OAuth2 security definition
+ * @param definition {object} - Swagger 2.0 security definition
+ * @returns {object} - OpenAPI 3.x OAuth flow object
+ */
+function buildFlow(definition) {
+  return extend(
+    {},
+    {
+      authorizationUrl: definition.authorizationUrl,
+      tokenUrl: definition.tokenUrl,
+      scopes: definition.scopes || {},
+    },
+  );
+}
+
+/*
+ * Converts Swagger 2.0 operation to OpenAPI 3.x operation
+ * @param operation {object} - Swagger 2.0 operation
+ * @param swagger {object} - containing Swagger 2.0 document
+ * @param securityNames {object} - Swagger 2.0 to OpenAPI 3.x security names
+ * @param context {object} - OpenAPI 'version' and 'track' callback
+ * @returns {object} - OpenAPI 3.x operation
+ */
+function buildOperation(operation, swagger, securityNames, context) {
+  var consumes = operation.consumes || swagger.consumes;
+  var produces = operation.produces || swagger.produces;
+
+  var parameters = [];
+  var body;
+  var formParameters = [];
+
+  (operation.parameters || []).forEach(function (parameter) {
+    var name = getReferenceName(parameter, 'parameters');
+    var resolved = isValue(name) ? swagger.parameters[name] : parameter;
+
+    if (resolved.in === 'body') {
+      body = resolved;
+    } else if (resolved.in === 'formData') {
+      formParameters.push(resolved);
+    } else if (isValue(name)) {
+      parameters.push({ $ref: '#/components/parameters/' + name });
+    } else {
+      parameters.push(buildParameter(parameter, context));
+    }
+  });
+
+  var requestBody;
+  if (isValue(body)) {
+    requestBody = buildRequestBody(body, consumes, context);
+  } else if (!isEmpty(formParameters)) {
+    requestBody = buildFormRequestBody(formParameters, consumes, context);
+  }
+
+  var responses = {};
+  forEachKey(operation.responses, function (response, code) {
+    var name = getReferenceName(response, 'responses');
+    if (!isValue(name)) {
+      responses[code] = buildResponse(response, produces, context);
+      return;
+    }
+
+    //Content of shared response is built for document-wide 'produces'
+    var resolved = swagger.responses[name];
+    if (isValue(resolved.schema) && !isEqual(produces, swagger.produces)) {
+      responses[code] = buildResponse(resolved, produces, context);
+    } else {
+      responses[code] = { $ref: '#/components/responses/' + name };
+    }
+  });
+
+  var result = getCustomProperties(operation, context.normalizeExtensions);
+  Object.keys(operation).forEach(function (key) {
+    var ignored = ['consumes', 'produces', 'parameters', 'schemes'];
+    if (ignored.indexOf(key) === -1 && !/^x-/i.test(key)) {
+      result[key] = operation[key];
+    }
+  });
+
+  extend(result, {
+    parameters: undefinedIfEmpty(parameters),
+    requestBody: requestBody,
+    responses: responses,
+    security: buildSecurityRequirements(operation.security, securityNames),
+  });
+  return context.track(result, operation);
+}
+
+/*
+ * Converts Swagger 2.0 non-body parameter to OpenAPI 3.x parameter
+ * @param parameter {object} - Swagger 2.0 parameter
+ * @param context {object} - OpenAPI 'version' and 'track' callback
+ * @returns {object} - OpenAPI 3.x parameter
+ */
+function buildParameter(parameter, context) {
+  var schema = {};
+  SCHEMA_KEYWORDS.forEach(function (keyword) {
+    if (isValue(parameter[keyword])) {
+      schema[keyword] = parameter[keyword];
+    }
+  });
+
+  var result = extend(
+    {},
+    getCustomProperties(parameter, context.normalizeExtensions),
+    {
+      name: parameter.name,
+      in: parameter.in,
+      description: parameter.description,
+      required: parameter.required,
+      allowEmptyValue: parameter.allowEmptyValue,
+      schema: buildSchema(schema, context),
+    },
+  );
+
+  if (schema.type === 'array') {
+    extend(result, getStyle(parameter.collectionFormat, parameter.in));
+  }
+  return context.track(result, parameter);
+}
+
+/*
+ * Get OpenAPI 3.x serialization properties from Swagger 2.0 collectionFormat.
+ * 'tsv' doesn't have OpenAPI 3.x equivalent and so it ignored.
+ * @param collectionFormat {string} - Swagger 2.0 collection format
+ * @param location {string} - parameter location
+ * @returns {object} - 'style' and 'explode' properties
+ */
+function getStyle(collectionFormat, location) {
+  switch (collectionFormat || 'csv') {
+    case 'csv':
+      if (location === 'query') {
+        return { style: 'form', explode: false };
+      }
+      return { style: 'simple' };
+    case 'ssv':
+      return { style: 'spaceDelimited', explode: false };
+    case 'pipes':
+      return { style: 'pipeDelimited', explode: false };
+    case 'multi':
+      return { style: 'form', explode: true };
+  }
+  return {};
+}
+
+/*
+ * Builds OpenAPI 3.x request body from Swagger 2.0 body parameter
+ * @param body {object} - Swagger 2.0 body parameter
+ * @param consumes {array} - media types operation consumes
+ * @param context {object} - OpenAPI 'version' and 'track' callback
+ * @returns {object} - OpenAPI 3.x request body
+ */
+function buildRequestBody(body, consumes, context) {
+  var requestBody = extend(
+    {},
+    getCustomProperties(body, context.normalizeExtensions),
+    {
+      description: body.description,
+      required: body.required,
+      content: buildContent(
+        consumes || [DEFAULT_MEDIA_TYPE],
+        buildSchema(body.schema, context),
+      ),
+    },
+  );
+  return context.track(requestBody, body);
+}
+
+/*
+ * Builds OpenAPI 3.x request body from Swagger 2.0 formData parameters
+ * @param parameters {array} - Swagger 2.0 formData parameters
+ * @param consumes {array} - media types operation consumes
+ * @param context {object} - OpenAPI 'version' and 'track' callback
+ * @returns {object} - OpenAPI 3.x request body
+ */
+function buildFormRequestBody(parameters, consumes, context) {
+  var properties = {};
+  var required = [];
+  var hasFile = false;
+
+  parameters.forEach(function (parameter) {
+    var schema = buildParameter(parameter, context).schema;
+    properties[parameter.name] = extend(schema, {
+      description: parameter.description,
+    });
+
+    if (parameter.required === true) {
+      required.push(parameter.name);
+    }
+    if (parameter.type === 'file') {
+      hasFile = true;
+    }
+  });
+
+  var formTypes = ['multipart/form-data', 'application/x-www-form-urlencoded'];
+  var mediaTypes = (consumes || []).filter(function (mediaType) {
+    return formTypes.indexOf(mediaType) !== -1;
+  });
+  if (isEmpty(mediaTypes)) {
+    mediaTypes = [formTypes[hasFile ? 0 : 1]];
+  }
+
+  var schema = extend(
+    {},
+    {
+      type: 'object',
+      properties: properties,
+      required: undefinedIfEmpty(required),
+    },
+  );
+
+  return extend(
+    {},
+    {
+      required: required.length !== 0 || undefined,
+      content: buildContent(mediaTypes, schema),
+    },
+  );
+}
+
+/*
+ * Converts Swagger 2.0 response to OpenAPI 3.x response
+ * @param response {object} - Swagger 2.0 response
+ * @param produces {array} - media types operation produces
+ * @param context {object} - OpenAPI 'version' and 'track' callback
+ * @returns {object} - OpenAPI 3.x response
+ */
+function buildResponse(response, produces, context) {
+  var result = {};
+  Object.keys(response).forEach(function (key) {
+    if (key !== 'schema') {
+      result[key] = response[key];
+    }
+  });
+
+  if (isValue(response.schema)) {
+    result.content = buildContent(
+      produces || [DEFAULT_MEDIA_TYPE],
+      buildSchema(response.schema, context),
+    );
+  }
+  return context.track(result, response);
+}
+
+/*
+ * Builds OpenAPI 3.x content map
+ * @param mediaTypes {array} - list of media types
+ * @param schema {object} - OpenAPI 3.x schema
+ * @returns {object} - OpenAPI 3.x content map
+ */
+function buildContent(mediaTypes, schema) {
+  var content = {};
+  mediaTypes.forEach(function (mediaType) {
+    content[mediaType] = { schema: schema };
+  });
+  return content;
+}
+
+/*
+ * Rename security requirements to OpenAPI 3.x security scheme names
+ * @param security {array} - Swagger 2.0 security requirements
+ * @param securityNames {object} - Swagger 2.0 to OpenAPI 3.x security names
+ * @returns {array} - OpenAPI 3.x security requirements
+ */
+function buildSecurityRequirements(security, securityNames) {
+  if (!isValue(security)) {
+    return undefined;
+  }
+
+  var seen = {};
+  var result = [];
+  security.forEach(function (requirement) {
+    var renamed = {};
+    Object.keys(requirement).forEach(function (name) {
+      renamed[securityNames[name] || name] = requirement[name];
+    });
+
+    //Requirements of merged OAuth flows become identical
+    var key = JSON.stringify(renamed);
+    if (!seen[key]) {
+      seen[key] = true;
+      result.push(renamed);
+    }
+  });
+  return result;
+}
+
+/*
+ * Converts Swagger 2.0 schema to OpenAPI 3.x schema
+ * @param schema {object} - Swagger 2.0 schema
+ * @param context {object} - OpenAPI 'version' and 'track' callback
+ * @returns {object} - OpenAPI 3.x schema
+ */
+function buildSchema(schema, context) {
+  if (Array.isArray(schema)) {
+    return schema.map(function (item) {
+      return buildSchema(item, context);
+    });
+  }
+
+  if (schema === null || typeof schema !== 'object') {
+    return schema;
+  }
+
+  var result = {};
+  Object.keys(schema).forEach(function (key) {
+    var value = schema[key];
+
+    switch (key) {
+      case '$ref':
+        result.$ref = value.replace(
+          /^#\/definitions\//,
+          '#/components/schemas/',
+        );
+        break;
+      case 'properties':
+        result.properties = {};
+        Object.keys(value).forEach(function (name) {
+          result.properties[name] = buildSchema(value[name], context);
+        });
+        break;
+      case 'items':
+      case 'additionalProperties':
+      case 'allOf':
+        result[key] = buildSchema(value, context);
+        break;
+      case 'discriminator':
+        result.discriminator = { propertyName: value };
+        break;
+      default:
+        result[key] = value;
+    }
+  });
+
+  if (result.type === 'file') {
+    result.type = 'string';
+    result.format = 'binary';
+  }
+
+  //OpenAPI 3.1 uses JSON Schema 2020-12 where exclusive limits are numbers
+  if (context.version === '3.1') {
+    ['Minimum', 'Maximum'].forEach(function (limit) {
+      var exclusive = 'exclusive' + limit;
+      var inclusive = limit.toLowerCase();
+      if (result[exclusive] === true) {
+        result[exclusive] = result[inclusive];
+        delete result[inclusive];
+      } else if (result[exclusive] === false) {
+        delete result[exclusive];
+      }
+    });
+  }
+
+  return context.track(result, schema);
+}
+
+/*
+ * Get name of the shared parameter or response the node references
+ * @param node {object} - Swagger 2.0 parameter or response
+ * @param section {string} - 'parameters' or 'responses'
+ * @returns {string|undefined} - name or undefined if node isn't a reference
+ */
+function getReferenceName(node, section) {
+  var prefix = '#/' + section + '/';
+  var ref = node.$ref;
+  if (typeof ref !== 'string' || ref.indexOf(prefix) !== 0) {
+    return undefined;
+  }
+  return ref.slice(prefix.length);
+}
+
+/*
+ * Default 'track' callback, leaves node as is
+ * @param node {object} - OpenAPI 3.x node
+ * @returns {object} - the node
+ */
+function track(node) {
+  return node;
+}
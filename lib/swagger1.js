@@ -0,0 +1,870 @@
+/*
+ * @license
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2014 Apigee Corporation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+'use strict';
+
+var SwaggerConverterError = require('./errors').SwaggerConverterError;
+var utils = require('./utils');
+var extend = utils.extend;
+var undefinedIfEmpty = utils.undefinedIfEmpty;
+var isValue = utils.isValue;
+var isEmpty = utils.isEmpty;
+var collectReferences = utils.collectReferences;
+var appendPointer = utils.appendPointer;
+var getValue = utils.getValue;
+var getCustomProperties = utils.getCustomProperties;
+var forEachKey = utils.forEachKey;
+var METHODS = utils.METHODS;
+
+module.exports = {
+  convertToV1: convertToV1,
+};
+
+//Swagger 2.0 schema keywords that have no Swagger 1.2 equivalent
+var DROPPED_KEYWORDS = [
+  'title',
+  'pattern',
+  'minLength',
+  'maxLength',
+  'exclusiveMinimum',
+  'exclusiveMaximum',
+  'multipleOf',
+  'minProperties',
+  'maxProperties',
+  'readOnly',
+  'xml',
+  'externalDocs',
+  'allowEmptyValue',
+];
+
+//Swagger 1.1 type names, converter maps them back to the same type and format
+var FORMATTED_TYPES = {
+  'integer/int32': 'int',
+  'integer/int64': 'long',
+  'number/float': 'float',
+  'number/double': 'double',
+  'string/byte': 'byte',
+  'string/date': 'date',
+  'string/date-time': 'date-time',
+};
+
+/*
+ * Converts Swagger 2.0 document into Swagger 1.2 resourceListing and
+ * apiDeclarations. Every tag becomes a resource, operations without tags
+ * are grouped by the first segment of their path.
+ * @param swagger {object} - Swagger 2.0 document
+ * @param options {object} - optional, 'normalizeExtensions' keeps vendor
+ *  extensions with upper case prefix making it lower case
+ * @returns {object} - 'resourceListing', 'apiDeclarations' map in the shape
+ *  'convert' accepts and 'warnings' about constructs Swagger 1.2 can't express
+ * @throws {SwaggerConverterError}
+ */
+function convertToV1(swagger, options) {
+  if (!isValue(swagger) || swagger.swagger !== '2.0') {
+    throw new SwaggerConverterError('Expected Swagger 2.0 document');
+  }
+
+  var context = {
+    swagger: swagger,
+    warnings: [],
+    normalizeExtensions: getValue(options, 'normalizeExtensions') === true,
+  };
+
+  var security = buildAuthorizations(swagger.securityDefinitions, context);
+  context.securityNames = security.names;
+
+  var resources = groupOperations(swagger, context);
+  var models = buildModels(swagger.definitions, context);
+  var modelNames = pickModelNames(swagger.definitions, resources);
+
+  var basePath = buildBasePath(swagger, context);
+  var apiDeclarations = {};
+  var apis = [];
+
+  resources.forEach(function (resource, index) {
+    var declarationModels = {};
+    modelNames[index].forEach(function (name) {
+      declarationModels[name] = models[name];
+    });
+
+    apiDeclarations[resource.path] = extend(
+      {},
+      {
+        swaggerVersion: '1.2',
+        apiVersion: getValue(swagger.info, 'version'),
+        basePath: basePath,
+        resourcePath: resource.path,
+        produces: swagger.produces,
+        consumes: swagger.consumes,
+        apis: buildApis(resource.operations, context),
+        models: undefinedIfEmpty(declarationModels),
+      },
+    );
+    apis.push(
+      extend({}, { path: resource.path, description: resource.description }),
+    );
+  });
+
+  var resourceListing = extend(
+    {},
+    {
+      swaggerVersion: '1.2',
+      apiVersion: getValue(swagger.info, 'version'),
+      info: undefinedIfEmpty(buildInfo(swagger.info, context)),
+      authorizations: undefinedIfEmpty(security.authorizations),
+      apis: apis,
+    },
+  );
+
+  return {
+    resourceListing: resourceListing,
+    apiDeclarations: apiDeclarations,
+    warnings: context.warnings,
+  };
+}
+
+/*
+ * Builds Swagger 1.2 "info" from Swagger 2.0 "info"
+ * @param info {object} - Swagger 2.0 info object
+ * @param context {object} - conversion context
+ * @returns {object} - Swagger 1.2 info object
+ */
+function buildInfo(info, context) {
+  if (!isValue(info)) {
+    return {};
+  }
+
+  ['name', 'url'].forEach(function (key) {
+    if (isValue(getValue(info, 'contact', key))) {
+      dropped(context, appendPointer('/info/contact', key));
+    }
+  });
+
+  return extend(
+    {},
+    {
+      title: info.title,
+      description: info.description,
+      termsOfServiceUrl: info.termsOfService,
+      contact: getValue(info, 'contact', 'email'),
+      license: getValue(info, 'license', 'name'),
+      licenseUrl: getValue(info, 'license', 'url'),
+    },
+  );
+}
+
+/*
+ * Builds Swagger 1.2 "basePath" from Swagger 2.0 path components. Swagger 1.2
+ * has single base URL, so only the first of "schemes" is kept.
+ * @param swagger {object} - Swagger 2.0 document
+ * @param context {object} - conversion context
+ * @returns {string} - Swagger 1.2 base path
+ */
+function buildBasePath(swagger, context) {
+  var schemes = swagger.schemes || [];
+  if (schemes.length > 1) {
+    dropped(context, '/schemes/1', 'only "' + schemes[0] + '" scheme is kept');
+  }
+
+  var url = swagger.basePath || '';
+  if (isValue(swagger.host)) {
+    url = '//' + swagger.host + url;
+    if (isValue(schemes[0])) {
+      url = schemes[0] + ':' + url;
+    }
+  }
+  return url || undefined;
+}
+
+/*
+ * Converts Swagger 2.0 security definitions into Swagger 1.2 authorizations.
+ * Converter splits OAuth2 authorization with multiple grant types into
+ * definitions named '<name>_<flow>', such definitions are merged back.
+ * @param securityDefinitions {object} - Swagger 2.0 security definitions
+ * @param context {object} - conversion context
+ * @returns {object} - 'authorizations' is Swagger 1.2 authorizations and
+ *  'names' maps Swagger 2.0 names to Swagger 1.2 names
+ */
+function buildAuthorizations(securityDefinitions, context) {
+  var authorizations = {};
+  var names = {};
+
+  forEachKey(securityDefinitions, function (definition, name) {
+    var pointer = appendPointer('/securityDefinitions', name);
+
+    switch (definition.type) {
+      case 'basic':
+        names[name] = name;
+        authorizations[name] = { type: 'basicAuth' };
+        return;
+
+      case 'apiKey':
+        names[name] = name;
+        authorizations[name] = {
+          type: 'apiKey',
+          passAs: definition.in,
+          keyname: definition.name,
+        };
+        return;
+
+      case 'oauth2':
+        break;
+
+      default:
+        dropped(context, pointer, 'unknown type "' + definition.type + '"');
+        return;
+    }
+
+    var grantType = buildGrantType(definition);
+    if (!isValue(grantType)) {
+      dropped(context, pointer, 'Swagger 1.2 has no "' + definition.flow + '"');
+      return;
+    }
+
+    var oldName = name.replace(new RegExp('_' + definition.flow + '$'), '');
+    var authorization = authorizations[oldName];
+    if (!isValue(authorization) || authorization.type !== 'oauth2') {
+      authorization = authorizations[oldName] = {
+        type: 'oauth2',
+        scopes: [],
+        grantTypes: {},
+      };
+    }
+
+    forEachKey(definition.scopes, function (description, scope) {
+      var exists = authorization.scopes.some(function (oldScope) {
+        return oldScope.scope === scope;
+      });
+      if (!exists) {
+        authorization.scopes.push(
+          extend({}, { scope: scope, description: description }),
+        );
+      }
+    });
+
+    extend(authorization.grantTypes, grantType);
+    names[name] = oldName;
+  });
+
+  return { authorizations: authorizations, names: names };
+}
+
+/*
+ * Builds Swagger 1.2 grant type from Swagger 2.0 OAuth2 security definition
+ * @param definition {object} - Swagger 2.0 security definition
+ * @returns {object|undefined} - map with single Swagger 1.2 grant type or
+ *  undefined if flow has no Swagger 1.2 equivalent
+ */
+function buildGrantType(definition) {
+  switch (definition.flow) {
+    case 'implicit':
+      return {
+        implicit: {
+          loginEndpoint: { url: definition.authorizationUrl },
+        },
+      };
+
+    case 'accessCode':
+      return {
+        authorization_code: {
+          tokenRequestEndpoint: { url: definition.authorizationUrl },
+          tokenEndpoint: { url: definition.tokenUrl },
+        },
+      };
+  }
+  return undefined;
+}
+
+/*
+ * Group operations into resources by their first tag
+ * @param swagger {object} - Swagger 2.0 document
+ * @param context {object} - conversion context
+ * @returns {array} - resources with 'path', 'description' and 'operations'
+ */
+function groupOperations(swagger, context) {
+  var resources = [];
+  var byName = {};
+
+  function getResource(name) {
+    if (!isValue(byName[name])) {
+      byName[name] = {
+        path: '/' + name,
+        operations: [],
+      };
+      resources.push(byName[name]);
+    }
+    return byName[name];
+  }
+
+  (swagger.tags || []).forEach(function (tag) {
+    getResource(tag.name).description = tag.description;
+  });
+
+  forEachKey(swagger.paths, function (path, pathString) {
+    METHODS.forEach(function (method) {
+      var operation = path[method];
+      if (!isValue(operation)) {
+        return;
+      }
+
+      var pointer = appendPointer('/paths', pathString, method);
+      var tags = operation.tags || [];
+      if (tags.length > 1) {
+        warn(
+          context,
+          'MULTIPLE_TAGS',
+          'Operation is listed only in "' + tags[0] + '" resource',
+          appendPointer(pointer, 'tags', 1),
+          'info',
+        );
+      }
+
+      var name = tags[0] || pathString.split('/')[1] || 'default';
+      getResource(name).operations.push({
+        path: pathString,
+        method: method,
+        operation: operation,
+        pathParameters: path.parameters,
+        pointer: pointer,
+      });
+    });
+  });
+
+  return resources.filter(function (resource) {
+    return !isEmpty(resource.operations);
+  });
+}
+
+/*
+ * Builds Swagger 1.2 "apis" section from operations of one resource
+ * @param operations {array} - operations of resource
+ * @param context {object} - conversion context
+ * @returns {array} - Swagger 1.2 API objects
+ */
+function buildApis(operations, context) {
+  var apis = [];
+  var byPath = {};
+
+  operations.forEach(function (entry) {
+    var api = byPath[entry.path];
+    if (!isValue(api)) {
+      api = byPath[entry.path] = { path: entry.path, operations: [] };
+      apis.push(api);
+    }
+    api.operations.push(buildOperation(entry, context));
+  });
+
+  return apis;
+}
+
+/*
+ * Converts Swagger 2.0 operation to Swagger 1.2 operation
+ * @param entry {object} - 'operation' with its 'method', 'pathParameters'
+ *  and 'pointer'
+ * @param context {object} - conversion context
+ * @returns {object} - Swagger 1.2 operation
+ */
+function buildOperation(entry, context) {
+  var operation = entry.operation;
+  var pointer = entry.pointer;
+
+  ['externalDocs', 'schemes'].forEach(function (key) {
+    if (isValue(operation[key])) {
+      dropped(context, appendPointer(pointer, key));
+    }
+  });
+
+  var parameters = mergeParameters(
+    entry.pathParameters,
+    operation.parameters,
+    pointer,
+    context,
+  ).map(function (parameter) {
+    return buildParameter(parameter.value, parameter.pointer, context);
+  });
+
+  var responses = buildResponses(operation.responses, pointer, context);
+  var security = operation.security || context.swagger.security;
+
+  return extend(
+    {},
+    getCustomProperties(operation, context.normalizeExtensions),
+    responses.type,
+    {
+      method: entry.method.toUpperCase(),
+      nickname: operation.operationId,
+      summary: operation.summary,
+      notes: operation.description,
+      deprecated: operation.deprecated === true ? 'true' : undefined,
+      produces: operation.produces,
+      consumes: operation.consumes,
+      parameters: parameters,
+      responseMessages: undefinedIfEmpty(responses.responseMessages),
+      authorizations: undefinedIfEmpty(buildSecurity(security, context)),
+    },
+  );
+}
+
+/*
+ * Merge path level parameters into operation parameters resolving references
+ * @param pathParameters {array} - Swagger 2.0 path item parameters
+ * @param parameters {array} - Swagger 2.0 operation parameters
+ * @param pointer {string} - JSON pointer to operation
+ * @param context {object} - conversion context
+ * @returns {array} - parameters with their 'value' and 'pointer'
+ */
+function mergeParameters(pathParameters, parameters, pointer, context) {
+  var pathPointer = pointer.replace(/\/[^/]*$/, '');
+  var merged = [];
+
+  function add(parameter, parameterPointer) {
+    var resolved = resolve(parameter, 'parameters', context);
+    merged = merged.filter(function (existing) {
+      return (
+        existing.value.name !== resolved.name ||
+        existing.value.in !== resolved.in
+      );
+    });
+    merged.push({ value: resolved, pointer: parameterPointer });
+  }
+
+  (pathParameters || []).forEach(function (parameter, index) {
+    add(parameter, appendPointer(pathPointer, 'parameters', index));
+  });
+  (parameters || []).forEach(function (parameter, index) {
+    add(parameter, appendPointer(pointer, 'parameters', index));
+  });
+  return merged;
+}
+
+/*
+ * Converts Swagger 2.0 parameter to Swagger 1.2 parameter
+ * @param parameter {object} - Swagger 2.0 parameter
+ * @param pointer {string} - JSON pointer to parameter
+ * @param context {object} - conversion context
+ * @returns {object} - Swagger 1.2 parameter
+ */
+function buildParameter(parameter, pointer, context) {
+  var result = extend(
+    {},
+    getCustomProperties(parameter, context.normalizeExtensions),
+    {
+      paramType: parameter.in === 'formData' ? 'form' : parameter.in,
+      name: parameter.name,
+      description: parameter.description,
+      required: parameter.required,
+    },
+  );
+
+  if (parameter.in === 'body') {
+    return extend(
+      result,
+      buildDataType(
+        parameter.schema,
+        'type',
+        appendPointer(pointer, 'schema'),
+        context,
+      ),
+    );
+  }
+
+  var schema = parameter;
+  if (parameter.type === 'array' && parameter.collectionFormat === 'multi') {
+    //Swagger 1.2 'allowMultiple' means the parameter can be repeated
+    schema = parameter.items;
+    result.allowMultiple = true;
+    pointer = appendPointer(pointer, 'items');
+  } else if (['csv', undefined].indexOf(parameter.collectionFormat) === -1) {
+    dropped(context, appendPointer(pointer, 'collectionFormat'));
+  }
+
+  return extend(result, buildDataType(schema, 'type', pointer, context));
+}
+
+/*
+ * Converts Swagger 2.0 responses to Swagger 1.2 response messages. Schema of
+ * the first successful response becomes type of the operation.
+ * @param responses {object} - Swagger 2.0 responses
+ * @param pointer {string} - JSON pointer to operation
+ * @param context {object} - conversion context
+ * @returns {object} - operation 'type' fields and 'responseMessages'
+ */
+function buildResponses(responses, pointer, context) {
+  var type;
+  var responseMessages = [];
+
+  forEachKey(responses, function (response, code) {
+    var responsePointer = appendPointer(pointer, 'responses', code);
+    response = resolve(response, 'responses', context);
+
+    if (!/^\d{3}$/.test(code)) {
+      dropped(context, responsePointer, 'response code must be a number');
+      return;
+    }
+
+    ['headers', 'examples'].forEach(function (key) {
+      if (isValue(response[key])) {
+        dropped(context, appendPointer(responsePointer, key));
+      }
+    });
+
+    //Response without schema gives empty type, next 2xx response may have it
+    if (isEmpty(type) && /^2/.test(code)) {
+      type = buildDataType(
+        response.schema,
+        'type',
+        appendPointer(responsePointer, 'schema'),
+        context,
+      );
+    }
+
+    responseMessages.push(
+      extend(
+        {},
+        {
+          code: Number(code),
+          message: response.description,
+          responseModel: buildModelName(response.schema),
+        },
+      ),
+    );
+  });
+
+  return {
+    type: isEmpty(type) ? { type: 'void' } : type,
+    responseMessages: responseMessages,
+  };
+}
+
+/*
+ * Converts Swagger 2.0 security requirements to Swagger 1.2 authorizations
+ * @param security {array} - Swagger 2.0 security requirements
+ * @param context {object} - conversion context
+ * @returns {object} - Swagger 1.2 authorizations
+ */
+function buildSecurity(security, context) {
+  var authorizations = {};
+
+  (security || []).forEach(function (requirement) {
+    forEachKey(requirement, function (scopes, name) {
+      var oldName = context.securityNames[name] || name;
+      var oldScopes = authorizations[oldName] || [];
+
+      scopes.forEach(function (scope) {
+        var exists = oldScopes.some(function (oldScope) {
+          return oldScope.scope === scope;
+        });
+        if (!exists) {
+          oldScopes.push({ scope: scope });
+        }
+      });
+      authorizations[oldName] = oldScopes;
+    });
+  });
+
+  return authorizations;
+}
+
+/*
+ * Converts Swagger 2.0 definitions to Swagger 1.2 models. Models that
+ * extend other model through 'allOf' are listed in its 'subTypes'.
+ * @param definitions {object} - Swagger 2.0 definitions
+ * @param context {object} - conversion context
+ * @returns {object} - Swagger 1.2 models
+ */
+function buildModels(definitions, context) {
+  var models = {};
+  var parents = {};
+
+  forEachKey(definitions, function (definition, name) {
+    var pointer = appendPointer('/definitions', name);
+    var parts = [definition];
+
+    if (Array.isArray(definition.allOf)) {
+      parts = [];
+      definition.allOf.forEach(function (part, index) {
+        var parent = getModelName(part.$ref);
+        if (isValue(parent) && !isValue(parents[name])) {
+          parents[name] = parent;
+        } else if (isValue(parent)) {
+          dropped(context, appendPointer(pointer, 'allOf', index));
+        } else {
+          parts.push(part);
+        }
+      });
+    }
+
+    var model = { id: name };
+    parts.forEach(function (part) {
+      var properties = {};
+      forEachKey(part.properties, function (property, propertyName) {
+        properties[propertyName] = buildDataType(
+          property,
+          '$ref',
+          appendPointer(pointer, 'properties', propertyName),
+          context,
+        );
+      });
+
+      if (isValue(part.additionalProperties)) {
+        dropped(context, appendPointer(pointer, 'additionalProperties'));
+      }
+
+      extend(model, getCustomProperties(part, context.normalizeExtensions), {
+        description: part.description,
+        required: part.required,
+        properties: undefinedIfEmpty(properties),
+        discriminator: part.discriminator,
+        example: part.example,
+      });
+    });
+    models[name] = model;
+  });
+
+  forEachKey(parents, function (parent, child) {
+    if (isValue(models[parent])) {
+      models[parent].subTypes = (models[parent].subTypes || []).concat(child);
+    }
+  });
+
+  return models;
+}
+
+/*
+ * Pick names of models every resource needs. Swagger 1.2 resolves 'subTypes'
+ * within the same apiDeclaration, so parents are picked together with all
+ * their children. Models not used by any operation are put into the first
+ * resource.
+ * @param definitions {object} - Swagger 2.0 definitions
+ * @param resources {array} - resources built by 'groupOperations'
+ * @returns {array} - sorted model names for every resource
+ */
+function pickModelNames(definitions, resources) {
+  definitions = definitions || {};
+
+  var dependencies = {};
+  forEachKey(definitions, function (definition, name) {
+    dependencies[name] = (dependencies[name] || []).concat(
+      collectReferences(definition, []).map(getModelName),
+    );
+
+    //Parent needs its children to list them in 'subTypes'
+    (definition.allOf || []).forEach(function (part) {
+      var parent = getModelName(part.$ref);
+      if (isValue(parent)) {
+        dependencies[parent] = (dependencies[parent] || []).concat(name);
+      }
+    });
+  });
+
+  var used = {};
+  var picked = resources.map(function (resource) {
+    var names = {};
+    var pending = [];
+
+    resource.operations.forEach(function (entry) {
+      collectReferences([entry.operation, entry.pathParameters], pending);
+    });
+    pending = pending.map(getModelName);
+
+    while (pending.length !== 0) {
+      var name = pending.shift();
+      if (isValue(definitions[name]) && !names[name]) {
+        names[name] = used[name] = true;
+        pending = pending.concat(dependencies[name]);
+      }
+    }
+    return Object.keys(names);
+  });
+
+  if (picked.length !== 0) {
+    picked[0] = picked[0].concat(
+      Object.keys(definitions).filter(function (name) {
+        return !used[name];
+      }),
+    );
+  }
+
+  return picked.map(function (names) {
+    return names.sort();
+  });
+}
+
+/*
+ * Converts Swagger 2.0 schema to Swagger 1.2 data type fields
+ * @param schema {object} - Swagger 2.0 schema or non-body parameter
+ * @param refField {string} - field for model references, 'type' in
+ *  parameters and operations, '$ref' in model properties
+ * @param pointer {string} - JSON pointer to schema
+ * @param context {object} - conversion context
+ * @returns {object} - Swagger 1.2 data type fields
+ */
+function buildDataType(schema, refField, pointer, context) {
+  if (!isValue(schema)) {
+    return {};
+  }
+
+  var modelName = getModelName(schema.$ref);
+  if (isValue(modelName)) {
+    var reference = {};
+    reference[refField] = modelName;
+    return reference;
+  }
+
+  DROPPED_KEYWORDS.forEach(function (keyword) {
+    if (isValue(schema[keyword])) {
+      dropped(context, appendPointer(pointer, keyword));
+    }
+  });
+
+  if (isValue(schema.properties) || isValue(schema.additionalProperties)) {
+    warn(
+      context,
+      'INLINE_SCHEMA',
+      'Swagger 1.2 can not describe inline object schema, use definitions',
+      pointer,
+    );
+  }
+
+  var items;
+  if (schema.type === 'array' && isValue(schema.items)) {
+    items = buildDataType(
+      schema.items,
+      '$ref',
+      appendPointer(pointer, 'items'),
+      context,
+    );
+  }
+
+  return extend(
+    {},
+    {
+      type: schema.type === 'file' ? 'File' : schema.type,
+      format: schema.format,
+      items: items,
+      description: refField === '$ref' ? schema.description : undefined,
+      enum: schema.enum,
+      defaultValue: schema.default,
+      minimum: isValue(schema.minimum) ? String(schema.minimum) : undefined,
+      maximum: isValue(schema.maximum) ? String(schema.maximum) : undefined,
+      uniqueItems: schema.uniqueItems,
+      minItems: schema.minItems,
+      maxItems: schema.maxItems,
+    },
+  );
+}
+
+/*
+ * Builds Swagger 1.2 'responseModel' name, arrays are written as 'array[T]'
+ * and formatted types use their Swagger 1.1 names
+ * @param schema {object} - Swagger 2.0 schema
+ * @returns {string|undefined} - model name
+ */
+function buildModelName(schema) {
+  if (!isValue(schema)) {
+    return undefined;
+  }
+
+  var modelName = getModelName(schema.$ref);
+  if (isValue(modelName)) {
+    return modelName;
+  }
+
+  if (schema.type === 'array') {
+    var items = buildModelName(schema.items);
+    return isValue(items) ? 'array[' + items + ']' : 'array';
+  }
+
+  return FORMATTED_TYPES[schema.type + '/' + schema.format] || schema.type;
+}
+
+/*
+ * Resolve local reference to shared parameter or response
+ * @param value {object} - Swagger 2.0 parameter or response
+ * @param section {string} - 'parameters' or 'responses'
+ * @param context {object} - conversion context
+ * @returns {object} - resolved value
+ * @throws {SwaggerConverterError}
+ */
+function resolve(value, section, context) {
+  if (!isValue(value.$ref)) {
+    return value;
+  }
+
+  var prefix = '#/' + section + '/';
+  var name = value.$ref.slice(prefix.length);
+  var resolved = getValue(context.swagger, section, name);
+  if (value.$ref.indexOf(prefix) !== 0 || !isValue(resolved)) {
+    throw new SwaggerConverterError('Can not resolve $ref: ' + value.$ref);
+  }
+  return resolved;
+}
+
+/*
+ * Get model name from reference to definition
+ * @param ref {string} - Swagger 2.0 reference
+ * @returns {string|undefined} - model name
+ */
+function getModelName(ref) {
+  if (typeof ref !== 'string') {
+    return undefined;
+  }
+  return ref.replace(/^#\/definitions\//, '');
+}
+
+/*
+ * Report a problem found during conversion
+ * @param context {object} - conversion context
+ * @param code {string} - stable identifier of the warning
+ * @param message {string} - human readable description
+ * @param pointer {string} - JSON pointer inside Swagger 2.0 document
+ * @param severity {string} - 'error', 'warning' or 'info', default 'warning'
+ */
+function warn(context, code, message, pointer, severity) {
+  context.warnings.push({
+    code: code,
+    severity: severity || 'warning',
+    message: message,
+    location: { declarationPath: null, pointer: pointer || '' },
+  });
+}
+
+/*
+ * Report a property that has no Swagger 1.2 equivalent and was dropped
+ * @param context {object} - conversion context
+ * @param pointer {string} - JSON pointer to the property
+ * @param reason {string} - optional explanation
+ */
+function dropped(context, pointer, reason) {
+  warn(
+    context,
+    'DROPPED_PROPERTY',
+    'Swagger 1.2 can not express "' +
+      pointer +
+      '"' +
+      (isValue(reason) ? ', ' + reason : '') +
+      ', it was dropped',
+    pointer,
+  );
+}
@@ -0,0 +1,325 @@
+/*
+ * @license
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2014 Apigee Corporation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+'use strict';
+
+var assert = require('assert');
+
+//HTTP methods of Swagger 2.0 path item
+var METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+
+module.exports = {
+  METHODS: METHODS,
+  extend: extend,
+  undefinedIfEmpty: undefinedIfEmpty,
+  isValue: isValue,
+  getLength: getLength,
+  isEmpty: isEmpty,
+  isEqual: isEqual,
+  collectReferences: collectReferences,
+  appendPointer: appendPointer,
+  mapLimit: mapLimit,
+  replaceFormatPlaceholder: replaceFormatPlaceholder,
+  isResourceListing: isResourceListing,
+  countWarnings: countWarnings,
+  getCustomProperties: getCustomProperties,
+  forEachKey: forEachKey,
+  getValue: getValue,
+};
+
+/*
+ * Extends an object with another
+ * @param destination {object} - object that will get extended
+ * @parma source {object} - object the will used to extend source
+ */
+function extend(destination) {
+  assert(typeof destination === 'object');
+
+  function assign(source) {
+    if (!source) {
+      return;
+    }
+    Object.keys(source).forEach(function (key) {
+      var value = source[key];
+      if (isValue(value)) {
+        destination[key] = value;
+      }
+    });
+  }
+
+  for (var i = 1; i < arguments.length; ++i) {
+    assign(arguments[i]);
+  }
+  return destination;
+}
+
+/*
+ * Test if value is empty and if so return undefined
+ * @param value {*} - value to test
+ * @returns {array|object|undefined} - result
+ */
+function undefinedIfEmpty(value) {
+  return isEmpty(value) ? undefined : value;
+}
+
+/*
+ * Test if value isn't null or undefined
+ * @param value {*} - value to test
+ * @returns {boolean} - result of test
+ */
+function isValue(value) {
+  //Some implementations use empty strings as undefined.
+  //For all fields we can drop empty string without any problems.
+  //One notable exception is 'default' values, but it better to
+  //skip it instead of providing unintended value.
+  if (value === '') {
+    return false;
+  }
+
+  return value !== undefined && value !== null;
+}
+
+/*
+ * Get length of container(Array or Object).
+ * @param value {*} - container
+ * @returns {number} - length of container
+ */
+function getLength(value) {
+  if (typeof value !== 'object') {
+    return 0;
+  }
+
+  if (isValue(value.length)) {
+    return value.length;
+  }
+
+  return Object.keys(value).length;
+}
+
+/*
+ * Test if value is empty
+ * @param value {*} - value to test
+ * @returns {boolean} - result of test
+ */
+function isEmpty(value) {
+  return getLength(value) === 0;
+}
+
+/*
+ * Test if values are deeply equal, order of object keys doesn't matter
+ * @param a {*} - first value
+ * @param b {*} - second value
+ * @returns {boolean} - result of test
+ */
+function isEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+
+  if (
+    a === null ||
+    b === null ||
+    typeof a !== 'object' ||
+    typeof b !== 'object' ||
+    Array.isArray(a) !== Array.isArray(b)
+  ) {
+    return false;
+  }
+
+  var keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) {
+    return false;
+  }
+
+  return keys.every(function (key) {
+    return (
+      Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key])
+    );
+  });
+}
+
+/*
+ * Collect values of all '$ref' properties
+ * @param value {*} - value to search in
+ * @param refs {array} - array to add references to
+ * @returns {array} - refs
+ */
+function collectReferences(value, refs) {
+  if (value !== null && typeof value === 'object') {
+    Object.keys(value).forEach(function (key) {
+      if (key === '$ref' && typeof value[key] === 'string') {
+        refs.push(value[key]);
+      } else {
+        collectReferences(value[key], refs);
+      }
+    });
+  }
+  return refs;
+}
+
+/*
+ * Append reference tokens to JSON pointer
+ * @param pointer {string} - JSON pointer
+ * @returns {string} - JSON pointer with escaped tokens appended
+ */
+function appendPointer(pointer) {
+  for (var i = 1; i < arguments.length; ++i) {
+    pointer +=
+      '/' + String(arguments[i]).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+  return pointer;
+}
+
+/*
+ * Map items with async function, running at most 'limit' calls at once.
+ * @param items {array} - items to map
+ * @param limit {number} - maximum number of pending calls
+ * @param iteratee {function} - returns Promise for every item
+ * @returns {Promise} - resolves to array of results
+ */
+function mapLimit(items, limit, iteratee) {
+  var results = new Array(items.length);
+  var next = 0;
+
+  function worker() {
+    if (next >= items.length) {
+      return Promise.resolve();
+    }
+
+    var index = next++;
+    return iteratee(items[index]).then(function (result) {
+      results[index] = result;
+      return worker();
+    });
+  }
+
+  var workers = [];
+  for (var i = 0; i < Math.min(limit, items.length); ++i) {
+    workers.push(worker());
+  }
+
+  return Promise.all(workers).then(function () {
+    return results;
+  });
+}
+
+/*
+ * Handle '{format}' placeholder of Swagger 1.x path, e.g. '/pet.{format}'
+ * @param path {string} - path with optional placeholder
+ * @param mode {string} - 'substitute' replaces it with extension, 'strip'
+ *  removes it together with preceding dot, 'parameter' keeps it as is
+ * @param extension {string} - extension used by 'substitute' mode
+ * @returns {string} - path
+ */
+function replaceFormatPlaceholder(path, mode, extension) {
+  switch (mode) {
+    case 'parameter':
+      return path;
+    case 'strip':
+      return path
+        .replace(/\.?\{format\}/g, '')
+        .replace(/\/{2,}/g, '/')
+        .replace(/(.)\/$/, '$1');
+  }
+  return path.replace('{format}', extension);
+}
+
+/*
+ * Test if document is a Swagger 1.x resourceListing. It has 'swaggerVersion'
+ * and 'apis' like apiDeclaration, but not 'resourcePath' which is required
+ * in the latter.
+ * @param document {*} - document to test
+ * @returns {boolean} - result of test
+ */
+function isResourceListing(document) {
+  return (
+    isValue(document) &&
+    typeof document === 'object' &&
+    isValue(document.swaggerVersion) &&
+    Array.isArray(document.apis) &&
+    !isValue(document.resourcePath)
+  );
+}
+
+/*
+ * Count conversion warnings which need attention, 'info' ones only describe
+ * what converter did and are not counted
+ * @param warnings {array} - warnings from 'convertWithReport'
+ * @returns {number} - number of 'warning' and 'error' warnings
+ */
+function countWarnings(warnings) {
+  return warnings.filter(function (warning) {
+    return warning.severity === 'warning' || warning.severity === 'error';
+  }).length;
+}
+
+/*
+ * Filter object on keys matching the prefix `x-`. Keys with upper case `X-`
+ * prefix are dropped unless 'normalize' is set, then the prefix is made lower
+ * case, the same way converter handles 'normalizeExtensions' option.
+ * @param object {object} - object to fetch properties from
+ * @param normalize {boolean} - keep keys with upper case prefix too
+ * @returns {object} - object with only properties prefixed with `x-`
+ */
+function getCustomProperties(object, normalize) {
+  var pattern = normalize === true ? /^x-/i : /^x-/;
+  var result = {};
+  Object.keys(object).forEach(function (key) {
+    if (pattern.test(key)) {
+      result['x-' + key.slice(2)] = object[key];
+    }
+  });
+  return result;
+}
+
+/*
+ * Iterates over object properties in sorted order
+ * @param object {object} - object to iterate over
+ * @param iteratee {function} - the function invoked per iteration
+ */
+function forEachKey(object, iteratee) {
+  if (!isValue(object)) {
+    return;
+  }
+
+  Object.keys(object)
+    .sort()
+    .forEach(function (key) {
+      iteratee(object[key], key);
+    });
+}
+
+/*
+ * Get nested property value of object
+ * @param object {*} - object
+ * @returns {*} - property value
+ */
+function getValue(object) {
+  for (var i = 1; i < arguments.length && isValue(object); ++i) {
+    var propertyName = arguments[i];
+    assert(typeof propertyName === 'string');
+    object = object[propertyName];
+  }
+  return object;
+}
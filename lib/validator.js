@@ -0,0 +1,281 @@
+/*
+ * @license
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2014 Apigee Corporation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+'use strict';
+
+var Ajv = require('ajv');
+
+var utils = require('./utils');
+var isValue = utils.isValue;
+var appendPointer = utils.appendPointer;
+var METHODS = utils.METHODS;
+
+module.exports = {
+  validateSwagger: validateSwagger,
+};
+
+//Compiled lazily, so conversion without validation doesn't pay for it
+var validateSchema;
+
+/*
+ * Validates Swagger 2.0 document against bundled Swagger 2.0 JSON Schema and
+ * semantic rules JSON Schema can't express.
+ * @param swagger {object} - Swagger 2.0 document
+ * @returns {array} - list of errors, every one has 'code', 'message' and
+ *  'pointer' to the invalid node inside the document
+ */
+function validateSwagger(swagger) {
+  return checkSchema(swagger).concat(
+    checkOperationIds(swagger),
+    checkReferences(swagger),
+    checkPathParameters(swagger),
+  );
+}
+
+/*
+ * Check document against Swagger 2.0 JSON Schema
+ * @param swagger {object} - Swagger 2.0 document
+ * @returns {array} - list of errors
+ */
+function checkSchema(swagger) {
+  if (!isValue(validateSchema)) {
+    var ajv = new Ajv({
+      schemaId: 'id',
+      jsonPointers: true,
+      allErrors: true,
+      meta: false,
+    });
+    ajv.addMetaSchema(require('ajv/lib/refs/json-schema-draft-04.json'));
+    validateSchema = ajv.compile(require('./schemas/swagger-2.0.json'));
+  }
+
+  if (validateSchema(swagger)) {
+    return [];
+  }
+
+  //Every failed branch of 'oneOf' reports its own errors, so summary errors
+  //are dropped when there are details and duplicates are merged
+  var seen = {};
+  var details = validateSchema.errors.filter(function (error) {
+    return ['oneOf', 'anyOf'].indexOf(error.keyword) === -1;
+  });
+  var errors = details.length !== 0 ? details : validateSchema.errors;
+
+  return errors
+    .filter(function (error) {
+      var key = error.dataPath + ' ' + error.message;
+      var duplicate = seen[key] === true;
+      seen[key] = true;
+      return !duplicate;
+    })
+    .map(function (error) {
+      return {
+        code: 'SCHEMA_VIOLATION',
+        message: error.message,
+        pointer: error.dataPath,
+      };
+    });
+}
+
+/*
+ * Check that every operationId is unique
+ * @param swagger {object} - Swagger 2.0 document
+ * @returns {array} - list of errors
+ */
+function checkOperationIds(swagger) {
+  var errors = [];
+  var seen = {};
+
+  forEachOperation(swagger, function (operation, pointer) {
+    var operationId = operation.operationId;
+    if (!isValue(operationId)) {
+      return;
+    }
+
+    if (isValue(seen[operationId])) {
+      errors.push({
+        code: 'DUPLICATE_OPERATION_ID',
+        message:
+          'operationId "' +
+          operationId +
+          '" is already used by ' +
+          seen[operationId],
+        pointer: appendPointer(pointer, 'operationId'),
+      });
+    } else {
+      seen[operationId] = pointer;
+    }
+  });
+  return errors;
+}
+
+/*
+ * Check that every local '$ref' points to existing node. References to
+ * other documents can't be checked offline and are skipped.
+ * @param swagger {object} - Swagger 2.0 document
+ * @returns {array} - list of errors
+ */
+function checkReferences(swagger) {
+  var errors = [];
+
+  (function walk(value, pointer) {
+    if (value === null || typeof value !== 'object') {
+      return;
+    }
+
+    Object.keys(value).forEach(function (key) {
+      var ref = value[key];
+      if (key === '$ref' && typeof ref === 'string' && ref[0] === '#') {
+        if (resolvePointer(swagger, ref.slice(1)) === undefined) {
+          errors.push({
+            code: 'UNRESOLVED_REFERENCE',
+            message: 'Can not resolve reference "' + ref + '"',
+            pointer: appendPointer(pointer, key),
+          });
+        }
+      } else {
+        walk(ref, appendPointer(pointer, key));
+      }
+    });
+  })(swagger, '');
+
+  return errors;
+}
+
+/*
+ * Check that every template variable of the path is declared as path
+ * parameter and every path parameter is used in the path.
+ * @param swagger {object} - Swagger 2.0 document
+ * @returns {array} - list of errors
+ */
+function checkPathParameters(swagger) {
+  var errors = [];
+
+  forEachOperation(swagger, function (operation, pointer, pathString, path) {
+    var names = (pathString.match(/{[^}]+}/g) || []).map(function (name) {
+      return name.slice(1, -1);
+    });
+
+    var declared = {};
+    var pathPointer = appendPointer('/paths', pathString);
+    [
+      [path.parameters, pathPointer],
+      [operation.parameters, pointer],
+    ].forEach(function (pair) {
+      (pair[0] || []).forEach(function (parameter, index) {
+        if (isValue(parameter.$ref)) {
+          parameter = resolvePointer(swagger, parameter.$ref.slice(1)) || {};
+        }
+        if (parameter.in !== 'path') {
+          return;
+        }
+
+        declared[parameter.name] = true;
+        if (names.indexOf(parameter.name) === -1) {
+          errors.push({
+            code: 'UNKNOWN_PATH_PARAMETER',
+            message:
+              'Path parameter "' +
+              parameter.name +
+              '" is not used in "' +
+              pathString +
+              '"',
+            pointer: appendPointer(pair[1], 'parameters', index),
+          });
+        }
+      });
+    });
+
+    names.forEach(function (name) {
+      if (!declared[name]) {
+        errors.push({
+          code: 'MISSING_PATH_PARAMETER',
+          message: 'Path parameter "' + name + '" is not declared',
+          pointer: pointer,
+        });
+      }
+    });
+  });
+  return errors;
+}
+
+/*
+ * Iterates over every operation of the document
+ * @param swagger {object} - Swagger 2.0 document
+ * @param iteratee {function} - called with operation, its pointer, path
+ *  string and path item
+ */
+function forEachOperation(swagger, iteratee) {
+  Object.keys(swagger.paths || {}).forEach(function (pathString) {
+    var path = swagger.paths[pathString];
+    METHODS.forEach(function (method) {
+      if (isValue(path[method])) {
+        iteratee(
+          path[method],
+          appendPointer('/paths', pathString, method),
+          pathString,
+          path,
+        );
+      }
+    });
+  });
+}
+
+/*
+ * Get value JSON pointer points to
+ * @param document {object} - document
+ * @param pointer {string} - JSON pointer
+ * @returns {*} - value or undefined if there is no such value or pointer
+ *  is malformed
+ */
+function resolvePointer(document, pointer) {
+  if (pointer === '') {
+    return document;
+  }
+  if (pointer[0] !== '/') {
+    return undefined;
+  }
+
+  var tokens = pointer.split('/').slice(1);
+  var value = document;
+  for (var i = 0; i < tokens.length; ++i) {
+    var token;
+    try {
+      token = decodeURIComponent(tokens[i]);
+    } catch (error) {
+      //Malformed escape sequence, e.g. '%E0', can't point to anything
+      return undefined;
+    }
+    token = token.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (
+      value === null ||
+      typeof value !== 'object' ||
+      !Object.prototype.hasOwnProperty.call(value, token)
+    ) {
+      return undefined;
+    }
+    value = value[token];
+  }
+  return value;
+}
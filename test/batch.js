@@ -0,0 +1,287 @@
+/*
+ * @license
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2014 Apigee Corporation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { expect } = require('chai');
+const { describe, it, before, after } = require('mocha');
+
+const {
+  convert,
+  convertDirectory,
+  serializeDocument,
+  SwaggerConverterError,
+} = require('..');
+const { findResourceListings } = require('../lib/batch');
+const { run, EXIT_CODES } = require('../lib/cli');
+
+function readInputFile(filepath) {
+  const fullPath = path.join('./test/input/', filepath);
+  return JSON.parse(fs.readFileSync(fullPath, 'utf-8'));
+}
+
+function writeFile(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+function removeDirectory(directory) {
+  for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      removeDirectory(entryPath);
+    } else {
+      fs.unlinkSync(entryPath);
+    }
+  }
+  fs.rmdirSync(directory);
+}
+
+function createStream() {
+  return {
+    content: '',
+    write(chunk) {
+      this.content += chunk;
+    },
+  };
+}
+
+describe('testing convertDirectory function', () => {
+  const petstore = convert(readInputFile('petstore/index.json'), {
+    '/pet': readInputFile('petstore/pet.json'),
+    '/user': readInputFile('petstore/user.json'),
+    '/store': readInputFile('petstore/store.json'),
+  });
+  let tmpDir;
+  let inputDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'swagger-converter-'));
+    inputDir = path.join(tmpDir, 'services');
+
+    for (const filename of ['index.json', 'pet.json', 'user.json']) {
+      writeFile(
+        path.join(inputDir, 'petstore', filename),
+        fs.readFileSync(path.join('./test/input/petstore', filename)),
+      );
+    }
+    writeFile(
+      path.join(inputDir, 'petstore/store.yaml'),
+      serializeDocument(readInputFile('petstore/store.json'), 'yaml'),
+    );
+
+    // Declarations without 'resourcePath' look like embedded documents
+    writeFile(
+      path.join(inputDir, 'fixable/index.json'),
+      JSON.stringify({ swaggerVersion: '1.2', apis: [{ path: '/pets' }] }),
+    );
+    writeFile(
+      path.join(inputDir, 'fixable/pets.json'),
+      JSON.stringify({
+        swaggerVersion: '1.2',
+        apis: [{ path: '/pets', operations: [{ method: 'GET', type: 'Pet' }] }],
+      }),
+    );
+
+    writeFile(
+      path.join(inputDir, 'embedded/index.json'),
+      fs.readFileSync('./test/input/embedded/index.json'),
+    );
+    writeFile(
+      path.join(inputDir, 'broken/index.json'),
+      JSON.stringify({ swaggerVersion: '1.2', apis: [{ path: '/missing' }] }),
+    );
+    writeFile(path.join(inputDir, 'broken/invalid.json'), '{"apis": ');
+    writeFile(
+      path.join(inputDir, '.hidden/index.json'),
+      JSON.stringify({ swaggerVersion: '1.2', apis: [] }),
+    );
+  });
+
+  after(() => {
+    removeDirectory(tmpDir);
+  });
+
+  it('finds resource listings', async () => {
+    expect(await findResourceListings(inputDir)).to.deep.equal([
+      'broken/index.json',
+      'embedded/index.json',
+      'fixable/index.json',
+      'petstore/index.json',
+    ]);
+  });
+
+  it('rejects when directory can not be read', async () => {
+    let error;
+    try {
+      await findResourceListings(path.join(tmpDir, 'missing'));
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).to.have.property('code', 'ENOENT');
+  });
+
+  it('rejects workers which is not a positive integer', async () => {
+    for (const workers of [0, 1.5, '2']) {
+      let error;
+      try {
+        await convertDirectory(inputDir, { workers });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.an.instanceof(SwaggerConverterError);
+      expect(error.message).to.equal(
+        'workers option should be a positive integer',
+      );
+    }
+  });
+
+  it('uses one worker when number of CPUs is unknown', async () => {
+    const cpus = os.cpus;
+    os.cpus = () => [];
+    let services;
+    try {
+      services = await convertDirectory(inputDir, { workerThreads: false });
+    } finally {
+      os.cpus = cpus;
+    }
+
+    expect(services.map((service) => service.resourceListing)).to.deep.equal([
+      'broken/index.json',
+      'embedded/index.json',
+      'fixable/index.json',
+      'petstore/index.json',
+    ]);
+    expect(services.map((service) => service.status)).to.not.include(undefined);
+  });
+
+  // Worker threads are slow to start, especially with coverage enabled
+  it('converts every service in worker threads', async () => {
+    const outputDirectory = path.join(tmpDir, 'output');
+    const services = await convertDirectory(inputDir, {
+      outputDirectory,
+      format: 'yaml',
+    });
+
+    expect(services.map((service) => service.status)).to.deep.equal([
+      'error',
+      'success',
+      'warnings',
+      'warnings',
+    ]);
+    expect(services[0].error).to.match(
+      /^Unable to load apiDeclaration "\/missing": ENOENT/,
+    );
+    expect(services[2].warnings[0]).to.deep.include({
+      code: 'UNKNOWN_TYPE',
+      location: {
+        declarationPath: '/pets',
+        pointer: '/apis/0/operations/0/type',
+      },
+    });
+    expect(services[3]).to.deep.include({
+      resourceListing: 'petstore/index.json',
+      status: 'warnings',
+      output: path.join(outputDirectory, 'petstore/index.yaml'),
+    });
+    expect(services[3].warnings.map((warning) => warning.code)).to.deep.equal([
+      'INVALID_ENUM_VALUE',
+      'INVALID_ENUM_VALUE',
+      'INVALID_ENUM_VALUE',
+    ]);
+
+    const output = fs.readFileSync(services[3].output, 'utf-8');
+    expect(output).to.equal(serializeDocument(petstore, 'yaml'));
+  }).timeout(10000);
+
+  it('converts in the main thread when options have functions', async () => {
+    const outputDirectory = path.join(tmpDir, 'main');
+    const services = await convertDirectory(inputDir, {
+      outputDirectory,
+      workers: 1,
+      plugins: [
+        {
+          onDocument(resourceListing, swagger, context) {
+            swagger['x-thread'] = 'main';
+            context.warn('THREAD', 'Converted in the main thread', 'info');
+          },
+        },
+      ],
+    });
+
+    expect(services.map((service) => service.status)).to.deep.equal([
+      'error',
+      'success',
+      'warnings',
+      'warnings',
+    ]);
+    expect(services[0]).to.not.have.property('output');
+    //Info warnings don't change status
+    expect(services[1].warnings.map((warning) => warning.code)).to.deep.equal([
+      'THREAD',
+    ]);
+
+    const output = fs.readFileSync(services[3].output, 'utf-8');
+    expect(JSON.parse(output)['x-thread']).to.equal('main');
+  });
+
+  it('prints summary in batch mode of command line interface', async () => {
+    const io = { stdout: createStream(), stderr: createStream() };
+    const exitCode = await run(['--batch', '--quiet', inputDir], io);
+
+    expect(exitCode).to.equal(EXIT_CODES.conversionError);
+    const lines = io.stdout.content.split('\n');
+    expect(lines[0]).to.match(/^error broken\/index.json: /);
+    expect(lines.slice(1)).to.deep.equal([
+      'success embedded/index.json',
+      'warnings fixable/index.json (1 warnings)',
+      'warnings petstore/index.json (3 warnings)',
+      '',
+    ]);
+    expect(io.stderr.content).to.equal('');
+  }).timeout(10000);
+
+  it('reports invalid services in batch mode', async () => {
+    const io = { stdout: createStream(), stderr: createStream() };
+    const exitCode = await run(
+      ['--batch', '--quiet', '--validate', path.join(inputDir, 'fixable')],
+      io,
+    );
+
+    expect(exitCode).to.equal(EXIT_CODES.invalid);
+    expect(io.stdout.content).to.equal('invalid index.json (1 errors)\n');
+    expect(io.stderr.content).to.equal(
+      'index.json invalid UNRESOLVED_REFERENCE ' +
+        '#/paths/~1pets/get/responses/200/schema/$ref: ' +
+        'Can not resolve reference "#/definitions/Pet"\n',
+    );
+  }).timeout(10000);
+});
@@ -0,0 +1,257 @@
+/*
+ * @license
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2014 Apigee Corporation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const yaml = require('js-yaml');
+const { expect } = require('chai');
+const { describe, it, before, after } = require('mocha');
+
+const { convert } = require('..');
+const { run, EXIT_CODES } = require('../lib/cli');
+
+function readInputFile(filepath) {
+  const fullPath = path.join('./test/input/', filepath);
+  return JSON.parse(fs.readFileSync(fullPath, 'utf-8'));
+}
+
+function createStream() {
+  return {
+    content: '',
+    write(chunk) {
+      this.content += chunk;
+    },
+  };
+}
+
+async function runCli(argv) {
+  const io = { stdout: createStream(), stderr: createStream() };
+  const exitCode = await run(argv, io);
+  return { exitCode, stdout: io.stdout.content, stderr: io.stderr.content };
+}
+
+describe('testing command line interface', () => {
+  const petstore = convert(readInputFile('petstore/index.json'), {
+    '/pet': readInputFile('petstore/pet.json'),
+    '/user': readInputFile('petstore/user.json'),
+    '/store': readInputFile('petstore/store.json'),
+  });
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'swagger-converter-'));
+  });
+
+  after(() => {
+    for (const filename of fs.readdirSync(tmpDir)) {
+      fs.unlinkSync(path.join(tmpDir, filename));
+    }
+    fs.rmdirSync(tmpDir);
+  });
+
+  it('writes JSON to stdout', async () => {
+    const result = await runCli(['./test/input/petstore/index.json']);
+
+    //Petstore 'userStatus' enum members like '1-registered' aren't integers
+    expect(result.exitCode).to.equal(EXIT_CODES.warnings);
+    expect(JSON.parse(result.stdout)).to.deep.equal(petstore);
+    expect(result.stderr.split('\n')).to.deep.equal([
+      'warning INVALID_ENUM_VALUE /user#/models/User/properties/userStatus/' +
+        'enum/0: Enum value "1-registered" is not a valid integer and was ' +
+        'kept as is',
+      'warning INVALID_ENUM_VALUE /user#/models/User/properties/userStatus/' +
+        'enum/1: Enum value "2-active" is not a valid integer and was kept ' +
+        'as is',
+      'warning INVALID_ENUM_VALUE /user#/models/User/properties/userStatus/' +
+        'enum/2: Enum value "3-closed" is not a valid integer and was kept ' +
+        'as is',
+      '',
+    ]);
+  });
+
+  it('writes YAML to the file and passes options', async () => {
+    const output = path.join(tmpDir, 'petstore.yaml');
+    const result = await runCli([
+      './test/input/petstore/index.json',
+      '--output',
+      output,
+      '--target=openapi-3.0',
+    ]);
+
+    expect(result.exitCode).to.equal(EXIT_CODES.warnings);
+    expect(result.stdout).to.equal('');
+
+    const document = yaml.load(fs.readFileSync(output, 'utf-8'));
+    expect(document.openapi).to.equal('3.0.3');
+  });
+
+  it('reports warnings with exit code', async () => {
+    fs.writeFileSync(
+      path.join(tmpDir, 'index.json'),
+      JSON.stringify({ swaggerVersion: '1.2', apis: [{ path: '/pets' }] }),
+    );
+    fs.writeFileSync(
+      path.join(tmpDir, 'pets.json'),
+      JSON.stringify({
+        swaggerVersion: '1.2',
+        apis: [{ path: '/pets', operations: [{ method: 'GET', type: 'Pet' }] }],
+      }),
+    );
+
+    const result = await runCli([path.join(tmpDir, 'index.json')]);
+
+    expect(result.exitCode).to.equal(EXIT_CODES.warnings);
+    expect(result.stderr).to.equal(
+      'warning UNKNOWN_TYPE /pets#/apis/0/operations/0/type: ' +
+        'Type "Pet" is neither standard type nor declared model\n',
+    );
+  });
+
+  it('prints info warnings without warnings exit code', async () => {
+    fs.writeFileSync(
+      path.join(tmpDir, 'index.json'),
+      JSON.stringify({ swaggerVersion: '1.2', apis: [{ path: '/pets' }] }),
+    );
+    fs.writeFileSync(
+      path.join(tmpDir, 'pets.json'),
+      JSON.stringify({
+        swaggerVersion: '1.2',
+        apis: [
+          {
+            path: '/pets',
+            operations: [
+              {
+                method: 'POST',
+                parameters: [
+                  { paramType: 'form', name: 'name', type: 'string' },
+                ],
+              },
+            ],
+          },
+        ],
+      }),
+    );
+
+    const result = await runCli([
+      path.join(tmpDir, 'index.json'),
+      '--normalize-media-types',
+    ]);
+
+    expect(result.exitCode).to.equal(EXIT_CODES.success);
+    expect(result.stderr).to.equal(
+      'info MEDIA_TYPE /pets#/apis/0/operations/0: Operation consumes ' +
+        '"application/x-www-form-urlencoded" inferred from formData ' +
+        'parameters\n',
+    );
+  });
+
+  it('validates converted document', async () => {
+    fs.writeFileSync(
+      path.join(tmpDir, 'index.json'),
+      JSON.stringify({ swaggerVersion: '1.2', apis: [{ path: '/pets' }] }),
+    );
+    fs.writeFileSync(
+      path.join(tmpDir, 'pets.json'),
+      JSON.stringify({
+        swaggerVersion: '1.2',
+        resourcePath: '/pets',
+        apis: [
+          {
+            path: '/pets/{petId}',
+            operations: [{ method: 'GET', type: 'void' }],
+          },
+        ],
+      }),
+    );
+
+    const valid = await runCli([
+      './test/input/petstore/index.json',
+      '--validate',
+    ]);
+    expect(valid.exitCode).to.equal(EXIT_CODES.warnings);
+
+    const invalid = await runCli([
+      path.join(tmpDir, 'index.json'),
+      '--validate',
+      '--repair-path-parameters=false',
+      '--quiet',
+    ]);
+    expect(invalid.exitCode).to.equal(EXIT_CODES.invalid);
+    expect(invalid.stderr).to.equal(
+      'invalid MISSING_PATH_PARAMETER #/paths/~1pets~1{petId}/get: ' +
+        'Path parameter "petId" is not declared\n',
+    );
+  });
+
+  it('writes source map to the file', async () => {
+    const output = path.join(tmpDir, 'petstore.map.json');
+    const result = await runCli([
+      './test/input/petstore/index.json',
+      '--source-map',
+      output,
+    ]);
+
+    expect(result.exitCode).to.equal(EXIT_CODES.warnings);
+    expect(JSON.parse(result.stdout)).to.deep.equal(petstore);
+    const sourceMap = JSON.parse(fs.readFileSync(output, 'utf-8'));
+    expect(sourceMap['/paths/~1pet~1{petId}/get']).to.deep.equal({
+      declarationPath: '/pet',
+      pointer: '/apis/3/operations/1',
+    });
+  });
+
+  it('rejects source map in batch mode', async () => {
+    const result = await runCli([
+      '--batch',
+      '--source-map=map.json',
+      './test/input',
+    ]);
+
+    expect(result.exitCode).to.equal(EXIT_CODES.usageError);
+    expect(result.stderr).to.equal(
+      'Option --source-map is not supported with --batch\n',
+    );
+  });
+
+  it('fails on conversion errors', async () => {
+    const result = await runCli(['./test/input/missing/index.json']);
+
+    expect(result.exitCode).to.equal(EXIT_CODES.conversionError);
+    expect(result.stderr).to.match(
+      /^SwaggerConverterError: Unable to find resourceListing/,
+    );
+  });
+
+  it('fails on unknown options', async () => {
+    const result = await runCli(['--unknown', 'index.json']);
+
+    expect(result.exitCode).to.equal(EXIT_CODES.usageError);
+    expect(result.stderr).to.match(/^Unknown option: --unknown\n/);
+  });
+});
@@ -0,0 +1,321 @@
+/*
+ * @license
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2014 Apigee Corporation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const { expect } = require('chai');
+const { describe, it, before, after } = require('mocha');
+
+const {
+  convert,
+  convertFromUrl,
+  serializeDocument,
+  SwaggerConverterError,
+} = require('..');
+
+const petstorePath = path.resolve('./test/input/petstore/');
+function readPetstoreFile(filename) {
+  return fs.readFileSync(path.join(petstorePath, filename), 'utf-8');
+}
+
+const petstoreRoutes = {
+  '/api-docs': 'index.json',
+  '/api-docs/pet': 'pet.json',
+  '/api-docs/user': 'user.json',
+  '/api-docs/store': 'store.json',
+};
+
+const petstore = convert(JSON.parse(readPetstoreFile('index.json')), {
+  '/pet': JSON.parse(readPetstoreFile('pet.json')),
+  '/user': JSON.parse(readPetstoreFile('user.json')),
+  '/store': JSON.parse(readPetstoreFile('store.json')),
+});
+
+describe('testing convertFromUrl function', () => {
+  let server;
+  let rootUrl;
+
+  before((done) => {
+    server = http.createServer((request, response) => {
+      //Never answered, so the client has to give up
+      if (request.url.indexOf('/stalled') === 0) {
+        return;
+      }
+      const filename = petstoreRoutes[request.url];
+      if (filename === undefined) {
+        response.writeHead(404);
+        response.end();
+        return;
+      }
+      response.writeHead(200, { 'Content-Type': 'application/json' });
+      response.end(readPetstoreFile(filename));
+    });
+    server.listen(0, '127.0.0.1', () => {
+      rootUrl = 'http://127.0.0.1:' + server.address().port;
+      done();
+    });
+  });
+
+  after((done) => {
+    server.close(done);
+  });
+
+  it('fetches resource listing and declarations over HTTP', async () => {
+    const result = await convertFromUrl(rootUrl + '/api-docs');
+
+    expect(result.swagger).to.deep.equal(petstore);
+    expect(result.warnings.map((warning) => warning.code)).to.deep.equal([
+      'INVALID_ENUM_VALUE',
+      'INVALID_ENUM_VALUE',
+      'INVALID_ENUM_VALUE',
+    ]);
+    expect(result.sourceUrl).to.equal(rootUrl + '/api-docs');
+    expect(
+      result.fetched.map((record) => record.declarationPath),
+    ).to.have.members([null, '/pet', '/user', '/store']);
+  });
+
+  it('discovers resource listing from root URL', async () => {
+    const result = await convertFromUrl(rootUrl + '/', { retries: 0 });
+
+    expect(result.swagger).to.deep.equal(petstore);
+    expect(result.sourceUrl).to.equal(rootUrl + '/api-docs');
+    expect(result.fetched[0]).to.deep.equal({
+      url: rootUrl + '/',
+      declarationPath: null,
+      attempts: 1,
+      error: 'Request to ' + rootUrl + '/ failed with status 404',
+    });
+  });
+
+  it('loads files relative to resource listing', async () => {
+    const sourceUrl = pathToFileURL(path.join(petstorePath, 'index.json'));
+    const result = await convertFromUrl(sourceUrl.href);
+
+    expect(result.swagger).to.deep.equal(petstore);
+  });
+
+  it('loads YAML files next to resource listing', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'swagger-converter-'));
+    const files = {
+      'index.yaml': 'index.json',
+      'pet.yaml': 'pet.json',
+      'user.yml': 'user.json',
+      'store.json': 'store.json',
+    };
+    for (const filename of Object.keys(files)) {
+      const document = JSON.parse(readPetstoreFile(files[filename]));
+      const format = /\.ya?ml$/.test(filename) ? 'yaml' : 'json';
+      fs.writeFileSync(
+        path.join(tmpDir, filename),
+        serializeDocument(document, format),
+      );
+    }
+
+    try {
+      const sourceUrl = pathToFileURL(path.join(tmpDir, 'index.yaml'));
+      const result = await convertFromUrl(sourceUrl.href);
+
+      expect(result.swagger).to.deep.equal(petstore);
+    } finally {
+      for (const filename of Object.keys(files)) {
+        fs.unlinkSync(path.join(tmpDir, filename));
+      }
+      fs.rmdirSync(tmpDir);
+    }
+  });
+
+  it('parses YAML returned by loader', async () => {
+    const loader = (url) => {
+      const document = JSON.parse(readPetstoreFile(petstoreRoutes[url]));
+      return serializeDocument(document, 'yaml');
+    };
+
+    const result = await convertFromUrl('/api-docs', { loader });
+    expect(result.swagger).to.deep.equal(petstore);
+  });
+
+  it('retries failed requests', async () => {
+    const attempts = {};
+    const loader = (url) => {
+      attempts[url] = (attempts[url] || 0) + 1;
+      if (attempts[url] === 1) {
+        return Promise.reject(
+          Object.assign(new Error('Connection reset'), { code: 'ECONNRESET' }),
+        );
+      }
+      return readPetstoreFile(petstoreRoutes[url]);
+    };
+
+    const result = await convertFromUrl('/api-docs', {
+      loader,
+      retries: 1,
+      retryDelay: 0,
+    });
+
+    expect(result.swagger).to.deep.equal(petstore);
+    for (const record of result.fetched) {
+      expect(record.attempts).to.equal(2);
+    }
+  });
+
+  it('backs off between retries', async () => {
+    const times = [];
+    const loader = (url) => {
+      if (url === '/api-docs') {
+        times.push(Date.now());
+        if (times.length < 3) {
+          const error = new SwaggerConverterError('Unavailable');
+          error.statusCode = 503;
+          return Promise.reject(error);
+        }
+      }
+      return readPetstoreFile(petstoreRoutes[url]);
+    };
+
+    await convertFromUrl('/api-docs', { loader, retryDelay: 20 });
+    expect(times[1] - times[0]).to.be.at.least(15);
+    expect(times[2] - times[1]).to.be.at.least(35);
+  });
+
+  it('does not retry non-transient failures', async () => {
+    let attempts = 0;
+    const loader = () => {
+      attempts += 1;
+      return Promise.reject(new SwaggerConverterError('Too many redirects'));
+    };
+
+    let error;
+    try {
+      await convertFromUrl('/api-docs', { loader, retryDelay: 0 });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).to.be.an.instanceof(SwaggerConverterError);
+    //Source URL and both discovery suffixes are fetched exactly once
+    expect(attempts).to.equal(3);
+  });
+
+  it('retries custom loader errors only with transient code or status', async () => {
+    const attempts = { plain: 0, clientError: 0, serverError: 0 };
+    const load = async (kind, error) => {
+      const loader = (url) => {
+        if (url === '/api-docs') {
+          attempts[kind] += 1;
+          if (attempts[kind] === 1) {
+            return Promise.reject(error);
+          }
+        }
+        return readPetstoreFile(petstoreRoutes[url]);
+      };
+      try {
+        await convertFromUrl('/api-docs', {
+          loader,
+          retries: 2,
+          retryDelay: 0,
+        });
+      } catch (e) {
+        return e;
+      }
+    };
+
+    await load('plain', new Error('Boom'));
+    await load(
+      'clientError',
+      Object.assign(new Error('Not found'), { statusCode: 404 }),
+    );
+    await load(
+      'serverError',
+      Object.assign(new Error('Unavailable'), { statusCode: 503 }),
+    );
+
+    expect(attempts).to.deep.equal({
+      plain: 1,
+      clientError: 1,
+      serverError: 2,
+    });
+  });
+
+  it('times out stalled requests', async () => {
+    let error;
+    try {
+      await convertFromUrl(rootUrl + '/stalled', { timeout: 50, retries: 0 });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).to.be.an.instanceof(SwaggerConverterError);
+    expect(error.message).to.equal(
+      'Unable to find resourceListing at ' +
+        rootUrl +
+        '/stalled: Request to ' +
+        rootUrl +
+        '/stalled timed out after 50ms',
+    );
+  });
+
+  it('limits number of concurrent requests', async () => {
+    let pending = 0;
+    let maxPending = 0;
+    const loader = (url) => {
+      pending += 1;
+      maxPending = Math.max(maxPending, pending);
+      return new Promise((resolve) => {
+        setTimeout(() => {
+          pending -= 1;
+          resolve(readPetstoreFile(petstoreRoutes[url]));
+        }, 5);
+      });
+    };
+
+    await convertFromUrl('/api-docs', { loader, concurrency: 2 });
+    expect(maxPending).to.equal(2);
+  });
+
+  it('fails when resource listing can not be found', async () => {
+    let error;
+    try {
+      await convertFromUrl(rootUrl + '/missing');
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).to.be.an.instanceof(SwaggerConverterError);
+    expect(error.message).to.equal(
+      'Unable to find resourceListing at ' +
+        rootUrl +
+        '/missing: Request to ' +
+        rootUrl +
+        '/missing failed with status 404',
+    );
+  });
+});
@@ -0,0 +1,296 @@
+/*
+ * @license
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2014 Apigee Corporation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { expect } = require('chai');
+const { describe, it } = require('mocha');
+
+const { convert, convertToV1, SwaggerConverterError } = require('..');
+
+function readInputFile(filepath) {
+  const fullPath = path.join('./test/input/', filepath);
+  return JSON.parse(fs.readFileSync(fullPath, 'utf-8'));
+}
+
+const petstore = convert(readInputFile('petstore/index.json'), {
+  '/pet': readInputFile('petstore/pet.json'),
+  '/user': readInputFile('petstore/user.json'),
+  '/store': readInputFile('petstore/store.json'),
+});
+
+function buildSwagger(paths, extra) {
+  return Object.assign(
+    {
+      swagger: '2.0',
+      info: { title: 'Test', version: '1.0.0' },
+      paths,
+    },
+    extra,
+  );
+}
+
+describe('testing convertToV1 function', () => {
+  it('throws on non Swagger 2.0 document', () => {
+    expect(() => convertToV1({ swaggerVersion: '1.2' })).to.throw(
+      SwaggerConverterError,
+      'Expected Swagger 2.0 document',
+    );
+  });
+
+  it('produces input convert accepts', () => {
+    const result = convertToV1(petstore);
+
+    expect(result.resourceListing.apis).to.deep.equal([
+      { path: '/pet', description: 'Operations about pets' },
+      { path: '/store', description: 'Operations about store' },
+      { path: '/user', description: 'Operations about user' },
+    ]);
+    expect(Object.keys(result.apiDeclarations)).to.deep.equal([
+      '/pet',
+      '/store',
+      '/user',
+    ]);
+
+    const converted = convert(result.resourceListing, result.apiDeclarations);
+    const createWithArray = petstore.paths['/user/createWithArray'].post;
+    expect(converted).to.deep.equal(
+      Object.assign({}, petstore, {
+        paths: Object.assign({}, petstore.paths, {
+          '/user/createWithArray': {
+            post: Object.assign({}, createWithArray, { tags: ['user'] }),
+          },
+        }),
+      }),
+    );
+
+    expect(result.warnings).to.deep.equal([
+      {
+        code: 'MULTIPLE_TAGS',
+        severity: 'info',
+        message: 'Operation is listed only in "user" resource',
+        location: {
+          declarationPath: null,
+          pointer: '/paths/~1user~1createWithArray/post/tags/1',
+        },
+      },
+    ]);
+  });
+
+  it('copies extensions with upper case prefix only if normalized', () => {
+    const swagger = {
+      swagger: '2.0',
+      info: { title: 'Pets', version: '1.0.0' },
+      paths: {
+        '/pets': {
+          get: {
+            tags: ['pets'],
+            'x-owner': 'pets-team',
+            'X-Rate-Limit': 100,
+            responses: { 200: { description: 'OK' } },
+          },
+        },
+      },
+    };
+    const getOperation = (result) =>
+      result.apiDeclarations['/pets'].apis[0].operations[0];
+
+    expect(getOperation(convertToV1(swagger))).to.include({
+      'x-owner': 'pets-team',
+    });
+    expect(getOperation(convertToV1(swagger))).not.to.have.property(
+      'X-Rate-Limit',
+    );
+    expect(
+      getOperation(convertToV1(swagger, { normalizeExtensions: true })),
+    ).to.include({ 'x-owner': 'pets-team', 'x-Rate-Limit': 100 });
+  });
+
+  it('merges OAuth2 flows back into grantTypes', () => {
+    const { resourceListing } = convertToV1(petstore);
+
+    expect(resourceListing.authorizations.basic).to.deep.equal({
+      type: 'basicAuth',
+    });
+    expect(resourceListing.authorizations.oauth2.grantTypes).to.deep.equal({
+      implicit: {
+        loginEndpoint: {
+          url: 'http://petstore.swagger.wordnik.com/api/oauth/dialog',
+        },
+      },
+      authorization_code: {
+        tokenRequestEndpoint: {
+          url: 'http://petstore.swagger.wordnik.com/api/oauth/requestToken',
+        },
+        tokenEndpoint: {
+          url: 'http://petstore.swagger.wordnik.com/api/oauth/token',
+        },
+      },
+    });
+
+    const operation = convertToV1(petstore).apiDeclarations['/pet'].apis[3]
+      .operations[0];
+    expect(operation.authorizations).to.deep.equal({
+      oauth2: [{ scope: 'write:pets' }, { scope: 'read:pets' }],
+    });
+  });
+
+  it('resolves shared and path level parameters', () => {
+    const swagger = buildSwagger(
+      {
+        '/pets/{petId}': {
+          parameters: [{ $ref: '#/parameters/petId' }],
+          get: {
+            parameters: [
+              {
+                name: 'fields',
+                in: 'query',
+                type: 'array',
+                items: { type: 'string' },
+                collectionFormat: 'multi',
+              },
+            ],
+            responses: {
+              200: { description: 'Pet', schema: { type: 'string' } },
+            },
+          },
+        },
+      },
+      {
+        parameters: {
+          petId: {
+            name: 'petId',
+            in: 'path',
+            required: true,
+            type: 'integer',
+            format: 'int64',
+          },
+        },
+      },
+    );
+
+    const result = convertToV1(swagger);
+    const operation = result.apiDeclarations['/pets'].apis[0].operations[0];
+
+    expect(operation).to.deep.equal({
+      method: 'GET',
+      type: 'string',
+      parameters: [
+        {
+          paramType: 'path',
+          name: 'petId',
+          required: true,
+          type: 'integer',
+          format: 'int64',
+        },
+        {
+          paramType: 'query',
+          name: 'fields',
+          allowMultiple: true,
+          type: 'string',
+        },
+      ],
+      responseMessages: [
+        { code: 200, message: 'Pet', responseModel: 'string' },
+      ],
+    });
+    expect(result.warnings).to.deep.equal([]);
+  });
+
+  it('uses void type for responses without schema', () => {
+    const result = convertToV1(
+      buildSwagger({
+        '/pets/{petId}': {
+          delete: {
+            parameters: [
+              { name: 'petId', in: 'path', required: true, type: 'string' },
+            ],
+            responses: { 204: { description: 'Deleted' } },
+          },
+        },
+      }),
+    );
+    const operation = result.apiDeclarations['/pets'].apis[0].operations[0];
+
+    expect(operation.type).to.equal('void');
+    expect(operation.responseMessages).to.deep.equal([
+      { code: 204, message: 'Deleted' },
+    ]);
+  });
+
+  it('reports constructs Swagger 1.2 can not express', () => {
+    const swagger = buildSwagger(
+      {
+        '/pets': {
+          post: {
+            parameters: [
+              {
+                name: 'body',
+                in: 'body',
+                schema: {
+                  type: 'object',
+                  properties: { name: { type: 'string' } },
+                },
+              },
+              { name: 'name', in: 'query', type: 'string', pattern: '^a' },
+            ],
+            responses: {
+              default: { description: 'Error' },
+            },
+          },
+        },
+      },
+      {
+        schemes: ['https', 'http'],
+        securityDefinitions: {
+          password: {
+            type: 'oauth2',
+            flow: 'password',
+            tokenUrl: 'https://example.com/token',
+          },
+        },
+      },
+    );
+
+    const result = convertToV1(swagger);
+
+    expect(
+      result.warnings.map((warning) => [
+        warning.code,
+        warning.location.pointer,
+      ]),
+    ).to.deep.equal([
+      ['DROPPED_PROPERTY', '/securityDefinitions/password'],
+      ['DROPPED_PROPERTY', '/schemes/1'],
+      ['INLINE_SCHEMA', '/paths/~1pets/post/parameters/0/schema'],
+      ['DROPPED_PROPERTY', '/paths/~1pets/post/parameters/1/pattern'],
+      ['DROPPED_PROPERTY', '/paths/~1pets/post/responses/default'],
+    ]);
+    expect(result.resourceListing).to.not.have.property('authorizations');
+  });
+});
@@ -29,15 +29,23 @@ const fs = require('fs');
 const path = require('path');
 
 const sway = require('sway');
+const SwaggerParser = require('@apidevtools/swagger-parser');
 const { expect } = require('chai');
 const { describe, it } = require('mocha');
 
-const { convert, listApiDeclarations } = require('..');
+const {
+  convert,
+  convertWithReport,
+  listApiDeclarations,
+  parseDocument,
+  serializeDocument,
+  SwaggerConverterError,
+} = require('..');
 
 const outputPath = './test/output/';
 function readInputFile(filepath) {
   const fullPath = path.join('./test/input/', filepath);
-  return JSON.parse(fs.readFileSync(fullPath, 'utf-8'));
+  return parseDocument(fs.readFileSync(fullPath, 'utf-8'));
 }
 
 const inputs = [
@@ -49,6 +57,24 @@ const inputs = [
     },
     output: 'minimal.json',
   },
+  {
+    resourceListing: 'minimal-yaml/index.yaml',
+    apiDeclarations: {
+      '/pets': 'minimal-yaml/pets.yaml',
+      '/stores': 'minimal-yaml/stores.yml',
+    },
+    output: 'minimal.json',
+  },
+  {
+    resourceListing: 'model-collisions/index.json',
+    apiDeclarations: {
+      '/pets': 'model-collisions/pets.json',
+      '/stores': 'model-collisions/stores.json',
+    },
+    options: { modelCollision: 'rename' },
+    output: 'model-collisions.json',
+    warnings: 'model-collisions-warnings.json',
+  },
   {
     resourceListing: 'embedded/index.json',
     apiDeclarations: {},
@@ -63,6 +89,7 @@ const inputs = [
     },
     // TODO: petstore example output is not perfect output. Update the output
     output: 'petstore.json',
+    warnings: 'petstore-warnings.json',
   },
   {
     resourceListing: 'complex-parameters/index.json',
@@ -82,6 +109,7 @@ const inputs = [
       '/swagger_files/our/stores': 'fixable/stores.json',
     },
     output: 'fixable.json',
+    warnings: 'fixable-warnings.json',
   },
   {
     resourceListing: 'complex-models/index.json',
@@ -97,11 +125,97 @@ const inputs = [
     },
     output: 'custom.json',
   },
+  {
+    resourceListing: 'allowable-values/index.json',
+    apiDeclarations: {
+      '/pet.{format}': 'allowable-values/pet.json',
+    },
+    output: 'allowable-values.json',
+  },
+  {
+    resourceListing: 'legacy-1.0/index.json',
+    apiDeclarations: {
+      '/pet.{format}': 'legacy-1.0/pet.json',
+    },
+    output: 'legacy-1.0.json',
+  },
+  {
+    resourceListing: 'legacy-1.1/index.json',
+    apiDeclarations: {
+      '/store.{format}': 'legacy-1.1/store.json',
+    },
+    output: 'legacy-1.1.json',
+  },
+  {
+    resourceListing: 'multiple-base-paths/index.json',
+    apiDeclarations: {
+      '/pets': 'multiple-base-paths/pets.json',
+      '/users': 'multiple-base-paths/users.json',
+      '/stores': 'multiple-base-paths/stores.json',
+    },
+    options: { splitByBasePath: true },
+    output: 'multiple-base-paths.json',
+  },
+  {
+    resourceListing: 'petstore/index.json',
+    apiDeclarations: {
+      '/pet': 'petstore/pet.json',
+      '/user': 'petstore/user.json',
+      '/store': 'petstore/store.json',
+    },
+    options: { target: 'openapi-3.0' },
+    output: 'petstore-openapi-3.0.json',
+    warnings: 'petstore-warnings.json',
+  },
+  {
+    resourceListing: 'petstore/index.json',
+    apiDeclarations: {
+      '/pet': 'petstore/pet.json',
+      '/user': 'petstore/user.json',
+      '/store': 'petstore/store.json',
+    },
+    options: { hoistComponents: true },
+    output: 'petstore-hoisted.json',
+    warnings: 'petstore-warnings.json',
+  },
+  {
+    resourceListing: 'extensions/index.json',
+    apiDeclarations: {
+      '/pets': 'extensions/pets.json',
+    },
+    options: { normalizeExtensions: true },
+    output: 'extensions.json',
+  },
+  {
+    resourceListing: 'complex-parameters/index.json',
+    apiDeclarations: {},
+    options: { collectionFormat: 'multi', target: 'openapi-3.1' },
+    output: 'complex-parameters-openapi-3.1.json',
+  },
 ];
 
 // Run testInput for each input folder
 inputs.forEach(testInput);
 testListApiDeclarations();
+testConvertWithReport();
+testBasePaths();
+testTargets();
+testSourceMap();
+testModelCollisions();
+testValidation();
+testOperationIds();
+testPathCollisions();
+testPlugins();
+testHoistComponents();
+testDocuments();
+testInputShapes();
+testFormatPlaceholder();
+testExtensions();
+testValidationKeywords();
+testTypedValues();
+testPathParameters();
+testBodyParameters();
+testMediaTypes();
 
 function testInput(input) {
   let resourceListing = readInputFile(input.resourceListing);
@@ -120,21 +234,33 @@ function testInput(input) {
 
   describe('converting file: ' + input.resourceListing, () => {
     it('output should generate valid Swagger 2.0 document', async () => {
-      expect(converted).is.a('object');
-      expect(converted).to.have.property('info').that.is.a('object');
-      expect(converted.info).to.have.property('title').that.is.a('string');
-      expect(converted).to.have.property('paths').that.is.a('object');
+      const split = input.options && input.options.splitByBasePath;
+      const documents = split ? Object.values(converted) : [converted];
+      expect(documents).to.not.be.empty;
 
-      const result = (await sway.create({ definition: converted })).validate();
+      for (const document of documents) {
+        expect(document).is.a('object');
+        expect(document).to.have.property('info').that.is.a('object');
+        expect(document.info).to.have.property('title').that.is.a('string');
+        expect(document).to.have.property('paths').that.is.a('object');
 
-      expect(result.errors).to.deep.equal([]);
-      expect(
-        result.warnings.filter(
-          // FIXME: fix Petstore input and output files
-          // Petstore has two unused definitions. We forgive this warning because of that example
-          (warning) => warning.code !== 'UNUSED_DEFINITION',
-        ),
-      ).to.deep.equal([]);
+        if (input.options && input.options.target) {
+          // SwaggerParser dereferences document in place, so pass a copy
+          await SwaggerParser.validate(JSON.parse(JSON.stringify(document)));
+          continue;
+        }
+
+        const result = (await sway.create({ definition: document })).validate();
+
+        expect(result.errors).to.deep.equal([]);
+        expect(
+          result.warnings.filter(
+            // FIXME: fix Petstore input and output files
+            // Petstore has two unused definitions. We forgive this warning because of that example
+            (warning) => warning.code !== 'UNUSED_DEFINITION',
+          ),
+        ).to.deep.equal([]);
+      }
     });
 
     it('output should produce the same output as output file', () => {
@@ -142,12 +268,40 @@ function testInput(input) {
       const fileContent = sortObject(converted);
 
       if (process.env.WRITE_CONVERTED) {
-        fs.writeFileSync(outputFilePath, JSON.stringify(fileContent, null, 2) + '\n');
+        fs.writeFileSync(
+          outputFilePath,
+          JSON.stringify(fileContent, null, 2) + '\n',
+        );
       }
 
       const outputFile = JSON.parse(fs.readFileSync(outputFilePath, 'utf-8'));
       expect(fileContent).to.deep.equal(outputFile);
     });
+
+    it('output should report the same warnings as warnings file', () => {
+      const { warnings } = convertWithReport(
+        resourceListing,
+        apiDeclarations,
+        input.options,
+      );
+      if (!input.warnings) {
+        expect(warnings).to.deep.equal([]);
+        return;
+      }
+
+      const warningsFilePath = path.join(outputPath, input.warnings);
+      if (process.env.WRITE_CONVERTED) {
+        fs.writeFileSync(
+          warningsFilePath,
+          JSON.stringify(warnings, null, 2) + '\n',
+        );
+      }
+
+      const warningsFile = JSON.parse(
+        fs.readFileSync(warningsFilePath, 'utf-8'),
+      );
+      expect(warnings).to.deep.equal(warningsFile);
+    });
   });
 }
 
@@ -260,6 +414,2720 @@ function testListApiDeclarations() {
   });
 }
 
+function testConvertWithReport() {
+  describe('testing convertWithReport function', () => {
+    it('returns document together with empty warnings', () => {
+      const resourceListing = readInputFile('minimal/index.json');
+      const apiDeclarations = {
+        '/pets': readInputFile('minimal/pets.json'),
+        '/stores': readInputFile('minimal/stores.json'),
+      };
+
+      const report = convertWithReport(resourceListing, apiDeclarations);
+
+      expect(report.swagger).to.deep.equal(
+        convert(resourceListing, apiDeclarations),
+      );
+      expect(report.warnings).to.deep.equal([]);
+    });
+
+    it('reports dropped default value', () => {
+      const report = convertWithReport(readInputFile('fixable/index.json'), {
+        '/swagger_files/my/pets': readInputFile('fixable/pets.json'),
+        '/swagger_files/our/stores': readInputFile('fixable/stores.json'),
+      });
+
+      expect(report.warnings).to.deep.equal([
+        {
+          code: 'INVALID_DEFAULT',
+          severity: 'warning',
+          message: 'Default value "BadValue" can not be parsed and was dropped',
+          location: {
+            declarationPath: '/swagger_files/my/pets',
+            pointer: '/apis/0/operations/0/parameters/4/default',
+          },
+        },
+      ]);
+    });
+
+    it('reports property values that can not be parsed', () => {
+      const report = convertWithReport(
+        { swaggerVersion: '1.2', apis: [{ path: '/pets' }] },
+        {
+          '/pets': {
+            swaggerVersion: '1.2',
+            resourcePath: '/pets',
+            apis: [
+              {
+                path: '/pets',
+                operations: [
+                  {
+                    method: 'GET',
+                    nickname: 'findPets',
+                    deprecated: 'yes',
+                    parameters: [
+                      {
+                        paramType: 'query',
+                        name: 'limit',
+                        type: 'integer',
+                        required: 'maybe',
+                      },
+                    ],
+                  },
+                ],
+              },
+            ],
+          },
+        },
+      );
+
+      const operation = report.swagger.paths['/pets'].get;
+      expect(operation).to.not.have.property('deprecated');
+      expect(operation.parameters).to.deep.equal([
+        { in: 'query', name: 'limit', type: 'integer' },
+      ]);
+      expect(report.warnings).to.deep.equal([
+        {
+          code: 'INVALID_VALUE',
+          severity: 'warning',
+          message:
+            'Value "maybe" of "required" can not be parsed and was dropped',
+          location: {
+            declarationPath: '/pets',
+            pointer: '/apis/0/operations/0/parameters/0/required',
+          },
+        },
+        {
+          code: 'INVALID_VALUE',
+          severity: 'warning',
+          message:
+            'Value "yes" of "deprecated" can not be parsed and was dropped',
+          location: {
+            declarationPath: '/pets',
+            pointer: '/apis/0/operations/0/deprecated',
+          },
+        },
+      ]);
+    });
+
+    it('reports allowable values that can not be coerced', () => {
+      const report = convertWithReport(
+        {
+          swaggerVersion: '1.1',
+          apis: [
+            {
+              path: '/pets',
+              operations: [
+                {
+                  httpMethod: 'GET',
+                  parameters: [
+                    {
+                      paramType: 'query',
+                      name: 'limit',
+                      dataType: 'int',
+                      allowableValues: {
+                        valueType: 'LIST',
+                        values: ['1', 'x'],
+                      },
+                    },
+                    {
+                      paramType: 'query',
+                      name: 'offset',
+                      dataType: 'int',
+                      allowableValues: 'BETWEEN[1,10]',
+                    },
+                  ],
+                },
+              ],
+            },
+          ],
+        },
+        {},
+      );
+
+      const parameters = report.swagger.paths['/pets'].get.parameters;
+      expect(parameters[0].enum).to.deep.equal([1]);
+      expect(parameters[1]).to.not.have.property('minimum');
+      expect(report.warnings.map((warning) => warning.code)).to.deep.equal([
+        'INVALID_ALLOWABLE_VALUE',
+        'INVALID_ALLOWABLE_VALUES',
+      ]);
+      expect(report.warnings[0].location).to.deep.equal({
+        declarationPath: null,
+        pointer: '/apis/0/operations/0/parameters/0/allowableValues/values/1',
+      });
+    });
+
+    it('reports range bounds that can not be coerced', () => {
+      const report = convertWithReport(
+        {
+          swaggerVersion: '1.1',
+          apis: [
+            {
+              path: '/pets',
+              operations: [
+                {
+                  httpMethod: 'GET',
+                  parameters: [
+                    {
+                      paramType: 'query',
+                      name: 'limit',
+                      dataType: 'int',
+                      allowableValues: {
+                        valueType: 'RANGE',
+                        min: 'x',
+                        max: '10',
+                      },
+                    },
+                    {
+                      paramType: 'query',
+                      name: 'offset',
+                      dataType: 'int',
+                      allowableValues: 'RANGE[0,Infinity]',
+                    },
+                  ],
+                },
+              ],
+            },
+          ],
+        },
+        {},
+      );
+
+      const parameters = report.swagger.paths['/pets'].get.parameters;
+      expect(parameters[0]).to.not.have.property('minimum');
+      expect(parameters[0].maximum).to.equal(10);
+      expect(parameters[1].minimum).to.equal(0);
+      expect(parameters[1]).to.not.have.property('maximum');
+      expect(report.warnings).to.deep.equal([
+        {
+          code: 'INVALID_ALLOWABLE_VALUE',
+          severity: 'warning',
+          message:
+            'Allowable min value "x" is not a valid integer and was dropped',
+          location: {
+            declarationPath: null,
+            pointer: '/apis/0/operations/0/parameters/0/allowableValues/min',
+          },
+        },
+      ]);
+    });
+
+    it('reports unknown types and authorizations', () => {
+      const report = convertWithReport(
+        {
+          swaggerVersion: '1.2',
+          apis: [{ path: '/pets' }],
+        },
+        {
+          '/pets': {
+            swaggerVersion: '1.2',
+            basePath: 'http://test.com',
+            resourcePath: '/pets',
+            apis: [
+              {
+                path: '/pets/{id}',
+                operations: [
+                  {
+                    method: 'GET',
+                    nickname: 'getPet',
+                    type: 'Pet',
+                    authorizations: { oauth2: [] },
+                    parameters: [
+                      {
+                        paramType: 'path',
+                        name: 'id',
+                        type: 'integer',
+                        required: true,
+                      },
+                    ],
+                  },
+                ],
+              },
+            ],
+          },
+        },
+      );
+
+      expect(report.warnings).to.deep.equal([
+        {
+          code: 'UNKNOWN_TYPE',
+          severity: 'warning',
+          message: 'Type "Pet" is neither standard type nor declared model',
+          location: {
+            declarationPath: '/pets',
+            pointer: '/apis/0/operations/0/type',
+          },
+        },
+        {
+          code: 'UNKNOWN_AUTHORIZATION',
+          severity: 'warning',
+          message: 'Authorization "oauth2" is not declared in resourceListing',
+          location: {
+            declarationPath: '/pets',
+            pointer: '/apis/0/operations/0/authorizations/oauth2',
+          },
+        },
+      ]);
+    });
+  });
+}
+
+function testBasePaths() {
+  describe('testing resources with different basePaths', () => {
+    const resourceListing = readInputFile('multiple-base-paths/index.json');
+    const apiDeclarations = {
+      '/pets': readInputFile('multiple-base-paths/pets.json'),
+      '/users': readInputFile('multiple-base-paths/users.json'),
+      '/stores': readInputFile('multiple-base-paths/stores.json'),
+    };
+
+    it('throws without splitByBasePath option', () => {
+      expect(() => convert(resourceListing, apiDeclarations)).to.throw(
+        'Resources can not override each other basePaths',
+      );
+    });
+
+    it('groups resources by resolved basePath', () => {
+      const documents = convert(resourceListing, apiDeclarations, {
+        splitByBasePath: true,
+      });
+
+      expect(Object.keys(documents)).to.deep.equal([
+        'http://petstore.com/api',
+        'https://stores.petstore.com/v1',
+      ]);
+      expect(
+        Object.keys(documents['http://petstore.com/api'].paths),
+      ).to.deep.equal(['/pets/{petId}', '/users/{username}']);
+    });
+  });
+}
+
+function testTargets() {
+  describe('testing target option', () => {
+    const resourceListing = readInputFile('multiple-base-paths/index.json');
+    const apiDeclarations = {
+      '/pets': readInputFile('multiple-base-paths/pets.json'),
+      '/users': readInputFile('multiple-base-paths/users.json'),
+      '/stores': readInputFile('multiple-base-paths/stores.json'),
+    };
+
+    it('throws on unsupported target', () => {
+      expect(() =>
+        convert(resourceListing, apiDeclarations, { target: 'raml' }),
+      ).to.throw('Unsupported target: raml');
+    });
+
+    it('converts every document when splitting by basePath', () => {
+      const documents = convert(resourceListing, apiDeclarations, {
+        splitByBasePath: true,
+        target: 'openapi-3.0',
+      });
+
+      const stores = documents['https://stores.petstore.com/v1'];
+      expect(stores.openapi).to.equal('3.0.3');
+      expect(stores.servers).to.deep.equal([
+        { url: 'https://stores.petstore.com/v1' },
+      ]);
+      expect(stores.components.securitySchemes).to.deep.equal({
+        basic: { type: 'http', scheme: 'basic' },
+      });
+    });
+  });
+}
+
+function testSourceMap() {
+  describe('testing sourceMap option', () => {
+    const resourceListing = readInputFile('petstore/index.json');
+    const apiDeclarations = {
+      '/pet': readInputFile('petstore/pet.json'),
+      '/user': readInputFile('petstore/user.json'),
+      '/store': readInputFile('petstore/store.json'),
+    };
+
+    it('is not returned by default', () => {
+      const report = convertWithReport(resourceListing, apiDeclarations, {});
+      expect(report).to.not.have.property('sourceMap');
+    });
+
+    it('links Swagger 2.0 nodes to their origins', () => {
+      const report = convertWithReport(resourceListing, apiDeclarations, {
+        sourceMap: true,
+      });
+
+      expect(report.swagger).to.deep.equal(
+        convert(resourceListing, apiDeclarations),
+      );
+      expect(report.sourceMap).to.deep.include({
+        '/info': { declarationPath: null, pointer: '/info' },
+        '/securityDefinitions/oauth2_implicit': {
+          declarationPath: null,
+          pointer: '/authorizations/oauth2/grantTypes/implicit',
+        },
+        '/paths/~1pet~1{petId}/get': {
+          declarationPath: '/pet',
+          pointer: '/apis/3/operations/1',
+        },
+        '/paths/~1pet~1{petId}/post/parameters/1': {
+          declarationPath: '/pet',
+          pointer: '/apis/3/operations/0/parameters/1',
+        },
+        '/paths/~1pet/put/responses/404': {
+          declarationPath: '/pet',
+          pointer: '/apis/0/operations/0/responseMessages/1',
+        },
+        '/definitions/Order/properties/shipDate': {
+          declarationPath: '/store',
+          pointer: '/models/Order/properties/shipDate',
+        },
+      });
+    });
+
+    it('links OpenAPI 3.x nodes to their origins', () => {
+      const report = convertWithReport(resourceListing, apiDeclarations, {
+        sourceMap: true,
+        target: 'openapi-3.0',
+      });
+
+      expect(report.sourceMap).to.deep.include({
+        '/paths/~1pet/put/requestBody': {
+          declarationPath: '/pet',
+          pointer: '/apis/0/operations/0/parameters/0',
+        },
+        '/components/schemas/User/properties/email': {
+          declarationPath: '/user',
+          pointer: '/models/User/properties/email',
+        },
+        '/components/securitySchemes/basic': {
+          declarationPath: null,
+          pointer: '/authorizations/basic',
+        },
+      });
+    });
+  });
+}
+
+function testModelCollisions() {
+  describe('testing modelCollision option', () => {
+    const resourceListing = readInputFile('model-collisions/index.json');
+    const apiDeclarations = {
+      '/pets': readInputFile('model-collisions/pets.json'),
+      '/stores': readInputFile('model-collisions/stores.json'),
+    };
+    // Only identical 'Tag' model is defined in both declarations
+    const storesModels = Object.assign({}, apiDeclarations['/stores'].models);
+    delete storesModels.Error;
+    const identical = {
+      '/pets': apiDeclarations['/pets'],
+      '/stores': Object.assign({}, apiDeclarations['/stores'], {
+        models: storesModels,
+      }),
+    };
+
+    const petsError = {
+      properties: { message: { type: 'string' } },
+    };
+    const storesError = {
+      properties: {
+        code: { type: 'integer', format: 'int32' },
+        reason: { type: 'string' },
+      },
+    };
+
+    function convertWith(modelCollision) {
+      return convertWithReport(resourceListing, apiDeclarations, {
+        modelCollision,
+      });
+    }
+
+    it('throws on unsupported policy', () => {
+      expect(() => convertWith('ignore')).to.throw(
+        'Unsupported modelCollision: ignore',
+      );
+    });
+
+    it('overrides earlier model and reports it by default', () => {
+      const report = convertWith(undefined);
+
+      expect(report.swagger.definitions.Error).to.deep.equal(storesError);
+      expect(report.warnings).to.deep.equal([
+        {
+          code: 'MODEL_COLLISION',
+          severity: 'warning',
+          message:
+            'Model "Error" is already defined in "/pets", it was overridden',
+          location: { declarationPath: '/stores', pointer: '/models/Error' },
+        },
+      ]);
+    });
+
+    it('throws on any collision with "error" policy', () => {
+      expect(() =>
+        convert(resourceListing, identical, { modelCollision: 'error' }),
+      ).to.throw(
+        SwaggerConverterError,
+        'Model "Tag" is already defined in "/pets"',
+      );
+    });
+
+    it('keeps the first model with "keep-first" policy', () => {
+      const report = convertWith('keep-first');
+
+      expect(report.swagger.definitions.Error).to.deep.equal(petsError);
+      expect(report.warnings.map((warning) => warning.message)).to.deep.equal([
+        'Model "Error" is already defined in "/pets", model was dropped',
+      ]);
+    });
+
+    it('merges only identical models with "merge-if-identical" policy', () => {
+      expect(() => convertWith('merge-if-identical')).to.throw(
+        SwaggerConverterError,
+        'Model "Error" is already defined in "/pets" with different shape',
+      );
+
+      const report = convertWithReport(resourceListing, identical, {
+        modelCollision: 'merge-if-identical',
+      });
+      expect(report.warnings).to.deep.equal([]);
+      expect(Object.keys(report.swagger.definitions)).to.have.members([
+        'Error',
+        'Pet',
+        'Store',
+        'Tag',
+      ]);
+    });
+
+    it('renames later model and its references with "rename" policy', () => {
+      const report = convertWith('rename');
+      const { definitions, paths } = report.swagger;
+
+      expect(definitions.Error).to.deep.equal(petsError);
+      expect(definitions.stores_Error).to.deep.equal(storesError);
+      expect(definitions.Store.properties.lastError).to.deep.equal({
+        $ref: '#/definitions/stores_Error',
+      });
+      expect(
+        paths['/stores/{storeId}'].get.responses['404'].schema,
+      ).to.deep.equal({ $ref: '#/definitions/stores_Error' });
+      expect(paths['/pets/{petId}'].get.responses['404'].schema).to.deep.equal({
+        $ref: '#/definitions/Error',
+      });
+      expect(report.warnings).to.deep.equal([
+        {
+          code: 'MODEL_COLLISION',
+          severity: 'info',
+          message:
+            'Model "Error" is already defined in "/pets", ' +
+            'model was renamed to "stores_Error"',
+          location: { declarationPath: '/stores', pointer: '/models/Error' },
+        },
+      ]);
+    });
+
+    it('renames identical models referencing renamed ones', () => {
+      const pet = {
+        id: 'Pet',
+        properties: { err: { $ref: 'Error' } },
+      };
+      const declaration = (resourcePath, error) => ({
+        swaggerVersion: '1.2',
+        resourcePath,
+        apis: [
+          {
+            path: resourcePath,
+            operations: [
+              {
+                method: 'GET',
+                nickname: 'get' + resourcePath.slice(1),
+                type: 'Pet',
+              },
+            ],
+          },
+        ],
+        models: {
+          Pet: pet,
+          Error: { id: 'Error', properties: error },
+        },
+      });
+
+      const report = convertWithReport(
+        { swaggerVersion: '1.2', apis: [{ path: '/a' }, { path: '/b' }] },
+        {
+          '/a': declaration('/a', { message: { type: 'string' } }),
+          '/b': declaration('/b', { code: { type: 'integer' } }),
+        },
+        { modelCollision: 'rename', validate: true },
+      );
+      const { definitions, paths } = report.swagger;
+
+      expect(definitions.Pet.properties.err).to.deep.equal({
+        $ref: '#/definitions/Error',
+      });
+      expect(definitions.b_Pet.properties.err).to.deep.equal({
+        $ref: '#/definitions/b_Error',
+      });
+      expect(definitions.b_Error.properties).to.deep.equal({
+        code: { type: 'integer' },
+      });
+      expect(paths['/a'].get.responses['200'].schema).to.deep.equal({
+        $ref: '#/definitions/Pet',
+      });
+      expect(paths['/b'].get.responses['200'].schema).to.deep.equal({
+        $ref: '#/definitions/b_Pet',
+      });
+      expect(report.warnings.map((warning) => warning.message)).to.deep.equal([
+        'Model "Error" is already defined in "/a", model was renamed to "b_Error"',
+        'Model "Pet" is already defined in "/a", model was renamed to "b_Pet"',
+      ]);
+      expect(report.validation.valid).to.equal(true);
+    });
+  });
+}
+
+function testValidation() {
+  describe('testing validate option', () => {
+    const resourceListing = {
+      swaggerVersion: '1.2',
+      apis: [
+        {
+          path: '/pets',
+          operations: [{ method: 'GET', nickname: 'getPet', type: 'Pet' }],
+        },
+        {
+          path: '/pets/{petId}',
+          operations: [{ method: 'GET', nickname: 'getPet' }],
+        },
+      ],
+    };
+
+    it('is not returned by default', () => {
+      const report = convertWithReport(resourceListing, {}, {});
+      expect(report).to.not.have.property('validation');
+    });
+
+    it('returns no errors for valid document', () => {
+      const report = convertWithReport(
+        readInputFile('petstore/index.json'),
+        {
+          '/pet': readInputFile('petstore/pet.json'),
+          '/user': readInputFile('petstore/user.json'),
+          '/store': readInputFile('petstore/store.json'),
+        },
+        { validate: true },
+      );
+
+      expect(report.validation).to.deep.equal({ valid: true, errors: [] });
+    });
+
+    it('reports semantic errors', () => {
+      const report = convertWithReport(
+        resourceListing,
+        {},
+        { validate: true, repairPathParameters: false },
+      );
+
+      expect(report.validation).to.deep.equal({
+        valid: false,
+        errors: [
+          {
+            code: 'DUPLICATE_OPERATION_ID',
+            message:
+              'operationId "getPet" is already used by /paths/~1pets/get',
+            pointer: '/paths/~1pets~1{petId}/get/operationId',
+          },
+          {
+            code: 'UNRESOLVED_REFERENCE',
+            message: 'Can not resolve reference "#/definitions/Pet"',
+            pointer: '/paths/~1pets/get/responses/200/schema/$ref',
+          },
+          {
+            code: 'MISSING_PATH_PARAMETER',
+            message: 'Path parameter "petId" is not declared',
+            pointer: '/paths/~1pets~1{petId}/get',
+          },
+        ],
+      });
+    });
+
+    it('reports malformed references as unresolved', () => {
+      const report = convertWithReport(
+        { swaggerVersion: '1.2', apis: [] },
+        {},
+        {
+          validate: true,
+          plugins: [
+            {
+              onDocument(resourceListing, swagger) {
+                swagger.paths = {};
+                swagger.definitions = {
+                  Pet: { $ref: '#/definitions/%E0' },
+                };
+              },
+            },
+          ],
+        },
+      );
+
+      expect(report.validation).to.deep.equal({
+        valid: false,
+        errors: [
+          {
+            code: 'UNRESOLVED_REFERENCE',
+            message: 'Can not resolve reference "#/definitions/%E0"',
+            pointer: '/definitions/Pet/$ref',
+          },
+        ],
+      });
+    });
+
+    it('reports JSON Schema violations', () => {
+      const report = convertWithReport(
+        {
+          swaggerVersion: '1.2',
+          apis: [
+            {
+              path: '/pets',
+              operations: [
+                {
+                  method: 'GET',
+                  parameters: [
+                    { paramType: 'query', name: 'kind', type: 'Kind' },
+                  ],
+                },
+              ],
+            },
+          ],
+        },
+        {},
+        { validate: true },
+      );
+
+      expect(report.validation.errors).to.deep.include({
+        code: 'SCHEMA_VIOLATION',
+        message: 'should be equal to one of the allowed values',
+        pointer: '/paths/~1pets/get/parameters/0/type',
+      });
+    });
+
+    it('throws listing every error in strict mode', () => {
+      let error;
+      try {
+        convert(
+          resourceListing,
+          {},
+          { validate: 'strict', repairPathParameters: false },
+        );
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.an.instanceof(SwaggerConverterError);
+      expect(error.errors).to.have.lengthOf(3);
+      expect(error.message).to.equal(
+        'Converted document is invalid:\n' +
+          '  /paths/~1pets~1{petId}/get/operationId: ' +
+          'operationId "getPet" is already used by /paths/~1pets/get\n' +
+          '  /paths/~1pets/get/responses/200/schema/$ref: ' +
+          'Can not resolve reference "#/definitions/Pet"\n' +
+          '  /paths/~1pets~1{petId}/get: ' +
+          'Path parameter "petId" is not declared',
+      );
+    });
+
+    it('prefixes pointers with base URL when splitting by basePath', () => {
+      const report = convertWithReport(
+        resourceListing,
+        {},
+        {
+          validate: true,
+          splitByBasePath: true,
+        },
+      );
+
+      expect(report.validation.errors[0].pointer).to.equal(
+        '//paths/~1pets~1{petId}/get/operationId',
+      );
+    });
+
+    it('throws on OpenAPI targets', () => {
+      expect(() =>
+        convert(resourceListing, {}, { validate: true, target: 'openapi-3.0' }),
+      ).to.throw('validate option supports only swagger-2.0 target');
+    });
+  });
+}
+
+function testOperationIds() {
+  describe('testing operationIdStrategy option', () => {
+    const resourceListing = {
+      swaggerVersion: '1.2',
+      apis: [{ path: '/pets' }, { path: '/stores' }],
+    };
+    const apiDeclarations = {
+      '/pets': {
+        swaggerVersion: '1.2',
+        resourcePath: '/pets',
+        apis: [
+          {
+            path: '/pets/{petId}',
+            operations: [
+              { method: 'GET', nickname: 'getById' },
+              { method: 'DELETE', nickname: 'deletePet' },
+            ],
+          },
+        ],
+      },
+      '/stores': {
+        swaggerVersion: '1.2',
+        resourcePath: '/stores',
+        apis: [
+          {
+            path: '/stores/{storeId}',
+            operations: [{ method: 'GET', nickname: 'getById' }],
+          },
+          {
+            path: '/stores',
+            operations: [{ method: 'GET' }],
+          },
+        ],
+      },
+    };
+
+    function getOperationIds(operationIdStrategy) {
+      return convertWithReport(resourceListing, apiDeclarations, {
+        operationIdStrategy,
+      }).operationIds.map((entry) => entry.operationId);
+    }
+
+    it('throws on unsupported strategy', () => {
+      expect(() => getOperationIds('random')).to.throw(
+        'Unsupported operationIdStrategy: random',
+      );
+    });
+
+    it('keeps nicknames with "nickname" strategy', () => {
+      const report = convertWithReport(resourceListing, apiDeclarations, {
+        operationIdStrategy: 'nickname',
+      });
+
+      expect(report.operationIds[0]).to.deep.equal({
+        nickname: 'getById',
+        operationId: 'getById',
+        method: 'get',
+        path: '/pets/{petId}',
+        location: { declarationPath: '/pets', pointer: '/apis/0/operations/0' },
+      });
+      expect(
+        report.operationIds.map((entry) => entry.operationId),
+      ).to.deep.equal(['getById', 'deletePet', 'getById', undefined]);
+    });
+
+    it('prefixes repeated nicknames with "prefix" strategy', () => {
+      const report = convertWithReport(resourceListing, apiDeclarations, {
+        operationIdStrategy: 'prefix',
+      });
+
+      expect(
+        report.operationIds.map((entry) => entry.operationId),
+      ).to.deep.equal([
+        'pets_getById',
+        'deletePet',
+        'stores_getById',
+        'getStores',
+      ]);
+      expect(
+        report.swagger.paths['/stores/{storeId}'].get.operationId,
+      ).to.equal('stores_getById');
+    });
+
+    it('generates ids with "method-path" strategy', () => {
+      expect(getOperationIds('method-path')).to.deep.equal([
+        'getPetsByPetId',
+        'deletePetsByPetId',
+        'getStoresByStoreId',
+        'getStores',
+      ]);
+    });
+
+    it('calls user function', () => {
+      const calls = [];
+      const operationIds = getOperationIds((operation) => {
+        calls.push(operation);
+        return operation.nickname && operation.nickname + 'Op';
+      });
+
+      expect(operationIds).to.deep.equal([
+        'getByIdOp',
+        'deletePetOp',
+        'getByIdOp',
+        undefined,
+      ]);
+      expect(calls[2]).to.deep.equal({
+        nickname: 'getById',
+        method: 'get',
+        path: '/stores/{storeId}',
+        tags: ['stores'],
+        declarationPath: '/stores',
+      });
+    });
+  });
+}
+
+function testPathCollisions() {
+  describe('testing pathCollision option', () => {
+    const resourceListing = {
+      swaggerVersion: '1.2',
+      apis: [{ path: '/pets' }, { path: '/admin' }],
+    };
+    const petId = { paramType: 'path', name: 'petId', type: 'string' };
+    const apiDeclarations = {
+      '/pets': {
+        swaggerVersion: '1.2',
+        resourcePath: '/pets',
+        apis: [
+          {
+            path: '/pets',
+            operations: [{ method: 'GET', nickname: 'listPets' }],
+          },
+          {
+            path: '/pets/{petId}',
+            operations: [
+              { method: 'GET', nickname: 'getPet', parameters: [petId] },
+            ],
+          },
+        ],
+      },
+      '/admin': {
+        swaggerVersion: '1.2',
+        resourcePath: '/admin',
+        apis: [
+          {
+            path: '/pets',
+            operations: [{ method: 'POST', nickname: 'addPet' }],
+          },
+        ],
+      },
+    };
+    // Both declarations have 'GET /pets/{petId}'
+    const conflicting = Object.assign({}, apiDeclarations, {
+      '/admin': Object.assign({}, apiDeclarations['/admin'], {
+        apis: apiDeclarations['/admin'].apis.concat({
+          path: '/pets/{petId}',
+          operations: [
+            { method: 'GET', nickname: 'getPetAdmin', parameters: [petId] },
+          ],
+        }),
+      }),
+    });
+
+    function convertWith(pathCollision, declarations) {
+      return convertWithReport(
+        resourceListing,
+        declarations || apiDeclarations,
+        { pathCollision, operationIdStrategy: 'nickname' },
+      );
+    }
+
+    it('throws on unsupported policy', () => {
+      expect(() => convertWith('ignore')).to.throw(
+        'Unsupported pathCollision: ignore',
+      );
+    });
+
+    it('overrides earlier path and reports it by default', () => {
+      const report = convertWith(undefined);
+
+      expect(Object.keys(report.swagger.paths['/pets'])).to.deep.equal([
+        'post',
+      ]);
+      expect(report.warnings).to.deep.equal([
+        {
+          code: 'PATH_COLLISION',
+          severity: 'warning',
+          message:
+            'Path "/pets" is already declared in "/pets", it was overridden',
+          location: { declarationPath: '/admin', pointer: '/apis/0' },
+        },
+      ]);
+      expect(
+        report.operationIds.map((entry) => entry.operationId),
+      ).to.deep.equal(['getPet', 'addPet']);
+    });
+
+    it('throws on any collision with "error" policy', () => {
+      expect(() => convertWith('error')).to.throw(
+        SwaggerConverterError,
+        'Path "/pets" is already declared in "/pets"',
+      );
+    });
+
+    it('merges operations with "merge" policy', () => {
+      const report = convertWith('merge');
+
+      expect(report.swagger.paths['/pets'].get.operationId).to.equal(
+        'listPets',
+      );
+      expect(report.swagger.paths['/pets'].post.operationId).to.equal('addPet');
+      expect(report.warnings).to.deep.equal([]);
+
+      expect(() => convertWith('merge', conflicting)).to.throw(
+        SwaggerConverterError,
+        'Operation "GET /pets/{petId}" is already declared in "/pets"',
+      );
+    });
+
+    it('keeps the first path with "keep-first" policy', () => {
+      const report = convertWith('keep-first', conflicting);
+
+      expect(Object.keys(report.swagger.paths['/pets'])).to.deep.equal(['get']);
+      expect(report.swagger.paths['/pets/{petId}'].get.operationId).to.equal(
+        'getPet',
+      );
+      expect(report.warnings.map((warning) => warning.message)).to.deep.equal([
+        'Path "/pets" is already declared in "/pets", path was dropped',
+        'Path "/pets/{petId}" is already declared in "/pets", path was dropped',
+      ]);
+      expect(
+        report.operationIds.map((entry) => entry.operationId),
+      ).to.deep.equal(['listPets', 'getPet']);
+    });
+
+    it('resolves operations repeated inside one declaration', () => {
+      const declarations = {
+        '/pets': Object.assign({}, apiDeclarations['/pets'], {
+          apis: apiDeclarations['/pets'].apis.concat({
+            path: '/pets',
+            operations: [{ method: 'GET', nickname: 'findPets' }],
+          }),
+        }),
+        '/admin': { swaggerVersion: '1.2', apis: [] },
+      };
+
+      const report = convertWith('keep-last', declarations);
+      expect(report.swagger.paths['/pets'].get.operationId).to.equal(
+        'findPets',
+      );
+      expect(report.warnings).to.deep.equal([
+        {
+          code: 'PATH_COLLISION',
+          severity: 'warning',
+          message:
+            'Operation "GET /pets" is already declared, it was overridden',
+          location: {
+            declarationPath: '/pets',
+            pointer: '/apis/2/operations/0',
+          },
+        },
+      ]);
+      expect(
+        report.operationIds.map((entry) => entry.operationId),
+      ).to.deep.equal(['getPet', 'findPets']);
+
+      expect(
+        convertWith('keep-first', declarations).swagger.paths['/pets'].get
+          .operationId,
+      ).to.equal('listPets');
+      expect(() => convertWith('merge', declarations)).to.throw(
+        SwaggerConverterError,
+        'Operation "GET /pets" is already declared',
+      );
+    });
+
+    it('merges paths only inside the same document', () => {
+      const report = convertWithReport(
+        Object.assign({}, resourceListing, { basePath: '/api' }),
+        {
+          '/pets': apiDeclarations['/pets'],
+          '/admin': Object.assign({}, apiDeclarations['/admin'], {
+            basePath: '/admin',
+          }),
+        },
+        { pathCollision: 'error', splitByBasePath: true },
+      );
+
+      expect(Object.keys(report.swagger)).to.have.members(['/api', '/admin']);
+      expect(report.swagger['/admin'].paths['/pets'].post).to.be.an('object');
+    });
+  });
+}
+
+function testPlugins() {
+  describe('testing plugins option', () => {
+    const resourceListing = {
+      swaggerVersion: '1.2',
+      apis: [{ path: '/pets' }],
+    };
+    const apiDeclarations = {
+      '/pets': {
+        swaggerVersion: '1.2',
+        resourcePath: '/pets',
+        apis: [
+          {
+            path: '/pets/{petId}',
+            operations: [
+              {
+                method: 'GET',
+                nickname: 'getPet',
+                owner: 'pets-team',
+                parameters: [
+                  { paramType: 'path', name: 'petId', type: 'string' },
+                ],
+              },
+            ],
+          },
+        ],
+        models: {
+          Pet: { id: 'Pet', properties: { name: { type: 'string' } } },
+        },
+      },
+    };
+
+    function convertWith(plugins, options) {
+      return convertWithReport(
+        resourceListing,
+        apiDeclarations,
+        Object.assign({ plugins }, options),
+      );
+    }
+
+    it('throws if plugins is not an array', () => {
+      expect(() => convertWith({})).to.throw(
+        SwaggerConverterError,
+        'plugins option should be an array',
+      );
+    });
+
+    it('passes Swagger 1.x and Swagger 2.0 nodes with context', () => {
+      const calls = [];
+      const plugin = {};
+      ['onOperation', 'onModel', 'onParameter', 'onDocument'].forEach(
+        (hook) => {
+          plugin[hook] = (oldNode, node, context) => {
+            calls.push({ hook, oldNode, node, context });
+          };
+        },
+      );
+
+      const swagger = convertWith([plugin]).swagger;
+      const operation = swagger.paths['/pets/{petId}'].get;
+
+      expect(calls.map((call) => call.hook)).to.deep.equal([
+        'onModel',
+        'onParameter',
+        'onOperation',
+        'onDocument',
+      ]);
+      expect(calls[0].oldNode).to.equal(apiDeclarations['/pets'].models.Pet);
+      expect(calls[0].node).to.equal(swagger.definitions.Pet);
+      expect(calls[0].context).to.deep.include({
+        declarationPath: '/pets',
+        pointer: '/models/Pet',
+        name: 'Pet',
+      });
+      expect(calls[1].node).to.equal(operation.parameters[0]);
+      expect(calls[1].context.pointer).to.equal(
+        '/apis/0/operations/0/parameters/0',
+      );
+      expect(calls[2].oldNode).to.equal(
+        apiDeclarations['/pets'].apis[0].operations[0],
+      );
+      expect(calls[2].node).to.equal(operation);
+      expect(calls[2].node.operationId).to.equal('getPet');
+      expect(calls[2].context).to.deep.include({
+        declarationPath: '/pets',
+        pointer: '/apis/0/operations/0',
+        path: '/pets/{petId}',
+        method: 'get',
+      });
+      expect(calls[3].oldNode).to.equal(resourceListing);
+      expect(calls[3].node).to.equal(swagger);
+      expect(calls[3].context).to.deep.include({
+        declarationPath: null,
+        pointer: '',
+      });
+    });
+
+    it('lets hooks mutate or replace nodes', () => {
+      const report = convertWith(
+        [
+          {
+            onOperation(oldOperation, operation) {
+              operation['x-owner'] = oldOperation.owner;
+            },
+            onModel(oldModel, model) {
+              return { allOf: [model], 'x-model': oldModel.id };
+            },
+          },
+          {
+            onModel(oldModel, model) {
+              // Every plugin gets result of the previous one
+              model['x-order'] = 2;
+            },
+            onDocument(resourceListing, swagger) {
+              return Object.assign({ 'x-converted': true }, swagger);
+            },
+          },
+        ],
+        { sourceMap: true },
+      );
+
+      expect(report.swagger['x-converted']).to.equal(true);
+      expect(report.swagger.paths['/pets/{petId}'].get['x-owner']).to.equal(
+        'pets-team',
+      );
+      expect(report.swagger.definitions.Pet).to.deep.equal({
+        allOf: [{ properties: { name: { type: 'string' } } }],
+        'x-model': 'Pet',
+        'x-order': 2,
+      });
+      expect(report.sourceMap['/definitions/Pet']).to.deep.equal({
+        declarationPath: '/pets',
+        pointer: '/models/Pet',
+      });
+    });
+
+    it('reports warnings from hooks', () => {
+      const report = convertWith([
+        {
+          onParameter(oldParameter, parameter, context) {
+            context.warn('CUSTOM', 'Parameter is checked', 'info');
+          },
+        },
+      ]);
+
+      expect(report.warnings).to.deep.equal([
+        {
+          code: 'CUSTOM',
+          severity: 'info',
+          message: 'Parameter is checked',
+          location: {
+            declarationPath: '/pets',
+            pointer: '/apis/0/operations/0/parameters/0',
+          },
+        },
+      ]);
+    });
+
+    it('passes operations to plugins after operationIds are assigned', () => {
+      const report = convertWith(
+        [
+          {
+            onOperation(oldOperation, operation) {
+              return Object.assign({}, operation, {
+                operationId: 'custom_' + operation.operationId,
+              });
+            },
+          },
+        ],
+        { operationIdStrategy: 'method-path', target: 'openapi-3.0' },
+      );
+
+      expect(report.swagger.paths['/pets/{petId}'].get.operationId).to.equal(
+        'custom_getPetsByPetId',
+      );
+    });
+  });
+}
+
+function testHoistComponents() {
+  describe('testing hoistComponents option', () => {
+    const apiKey = {
+      paramType: 'header',
+      name: 'api_key',
+      type: 'string',
+      required: true,
+    };
+    const limit = { paramType: 'query', name: 'limit', type: 'integer' };
+    const notFound = { code: 404, message: 'Not found' };
+    const resourceListing = {
+      swaggerVersion: '1.2',
+      apis: [
+        {
+          path: '/pets',
+          operations: [
+            {
+              method: 'GET',
+              nickname: 'listPets',
+              parameters: [apiKey, limit],
+              responseMessages: [notFound],
+            },
+          ],
+        },
+        {
+          path: '/stores',
+          operations: [
+            {
+              method: 'GET',
+              nickname: 'listStores',
+              parameters: [apiKey, limit],
+              responseMessages: [notFound],
+            },
+          ],
+        },
+        {
+          path: '/users',
+          operations: [
+            {
+              method: 'GET',
+              nickname: 'listUsers',
+              parameters: [
+                apiKey,
+                Object.assign({}, limit, { paramType: 'header' }),
+              ],
+            },
+          ],
+        },
+      ],
+    };
+
+    function convertWith(options) {
+      return convert(
+        resourceListing,
+        {},
+        Object.assign({ hoistComponents: true }, options),
+      );
+    }
+
+    it('throws on unsupported threshold', () => {
+      expect(() => convertWith({ hoistThreshold: 0 })).to.throw(
+        SwaggerConverterError,
+        'Unsupported hoistThreshold: 0',
+      );
+    });
+
+    it('is disabled by default', () => {
+      const swagger = convert(resourceListing, {});
+      expect(swagger).to.not.have.property('parameters');
+      expect(swagger).to.not.have.property('responses');
+    });
+
+    it('moves repeated parameters and responses to top level', () => {
+      const swagger = convertWith();
+
+      expect(swagger.parameters).to.deep.equal({
+        api_key: {
+          in: 'header',
+          name: 'api_key',
+          required: true,
+          type: 'string',
+        },
+        limit: { in: 'query', name: 'limit', type: 'integer' },
+      });
+      expect(swagger.responses).to.deep.equal({
+        Not_found: { description: 'Not found' },
+        No_response_was_specified: { description: 'No response was specified' },
+      });
+      expect(swagger.paths['/stores'].get.parameters).to.deep.equal([
+        { $ref: '#/parameters/api_key' },
+        { $ref: '#/parameters/limit' },
+      ]);
+      expect(swagger.paths['/users'].get.parameters).to.deep.equal([
+        { $ref: '#/parameters/api_key' },
+        { in: 'header', name: 'limit', type: 'integer' },
+      ]);
+      expect(swagger.paths['/pets'].get.responses).to.deep.equal({
+        200: { $ref: '#/responses/No_response_was_specified' },
+        404: { $ref: '#/responses/Not_found' },
+      });
+    });
+
+    it('hoists only nodes repeated at least hoistThreshold times', () => {
+      const swagger = convertWith({ hoistThreshold: 3 });
+
+      expect(Object.keys(swagger.parameters)).to.deep.equal(['api_key']);
+      expect(Object.keys(swagger.responses)).to.deep.equal([
+        'No_response_was_specified',
+      ]);
+    });
+
+    it('adds suffix to names used by different nodes', () => {
+      const swagger = convertWith({ hoistThreshold: 1 });
+
+      expect(Object.keys(swagger.parameters)).to.deep.equal([
+        'api_key',
+        'limit',
+        'limit_2',
+      ]);
+    });
+
+    it('moves shared nodes to OpenAPI 3.x components', async () => {
+      const openapi = convertWith({ target: 'openapi-3.0' });
+
+      expect(openapi.components.parameters).to.have.keys('api_key', 'limit');
+      expect(openapi.components.responses).to.have.keys(
+        'Not_found',
+        'No_response_was_specified',
+      );
+      expect(openapi.paths['/pets'].get.parameters).to.deep.equal([
+        { $ref: '#/components/parameters/api_key' },
+        { $ref: '#/components/parameters/limit' },
+      ]);
+      await SwaggerParser.validate(JSON.parse(JSON.stringify(openapi)));
+    });
+  });
+}
+
+function testDocuments() {
+  describe('testing JSON and YAML documents', () => {
+    const resourceListing = fs.readFileSync(
+      './test/input/minimal-yaml/index.yaml',
+      'utf-8',
+    );
+    const apiDeclarations = {
+      '/pets': fs.readFileSync('./test/input/minimal/pets.json', 'utf-8'),
+      '/stores': fs.readFileSync(
+        './test/input/minimal-yaml/stores.yml',
+        'utf-8',
+      ),
+    };
+
+    it('parses JSON and YAML strings', () => {
+      expect(parseDocument('{"swaggerVersion": "1.2"}')).to.deep.equal({
+        swaggerVersion: '1.2',
+      });
+      expect(parseDocument('swaggerVersion: "1.2"\napis: []\n')).to.deep.equal({
+        swaggerVersion: '1.2',
+        apis: [],
+      });
+      // Dates are kept as strings
+      expect(parseDocument('apiVersion: 2014-01-01\n')).to.deep.equal({
+        apiVersion: '2014-01-01',
+      });
+    });
+
+    it('throws on invalid documents', () => {
+      expect(() => parseDocument('{"apis": ')).to.throw(
+        SwaggerConverterError,
+        /^Invalid JSON document: /,
+      );
+      expect(() => parseDocument('apis: [')).to.throw(
+        SwaggerConverterError,
+        /^Invalid YAML document: /,
+      );
+    });
+
+    it('converts JSON and YAML strings', () => {
+      const converted = convert(resourceListing, apiDeclarations);
+      const outputFile = fs.readFileSync(outputPath + 'minimal.json', 'utf-8');
+
+      expect(sortObject(converted)).to.deep.equal(JSON.parse(outputFile));
+    });
+
+    it('serializes YAML with sorted keys', () => {
+      const yaml = serializeDocument(
+        { swagger: '2.0', paths: { '/b': {}, '/a': {} }, info: {} },
+        'yaml',
+      );
+
+      expect(yaml).to.equal(
+        "info: {}\npaths:\n  /a: {}\n  /b: {}\nswagger: '2.0'\n",
+      );
+      expect(serializeDocument({ swagger: '2.0' })).to.equal(
+        '{\n  "swagger": "2.0"\n}\n',
+      );
+      expect(() => serializeDocument({}, 'xml')).to.throw(
+        SwaggerConverterError,
+        'Unsupported format: xml',
+      );
+    });
+  });
+}
+
+function testInputShapes() {
+  describe('testing alternative input shapes', () => {
+    const resourceListing = readInputFile('petstore/index.json');
+    const pet = readInputFile('petstore/pet.json');
+    const store = readInputFile('petstore/store.json');
+    const user = readInputFile('petstore/user.json');
+    const expected = convert(resourceListing, {
+      '/pet': pet,
+      '/store': store,
+      '/user': user,
+    });
+
+    it('matches array of apiDeclarations by resourcePath', () => {
+      const result = convertWithReport(resourceListing, [user, pet, store]);
+
+      expect(result.swagger).to.deep.equal(expected);
+      expect(result.warnings[0]).to.deep.equal({
+        code: 'DECLARATION_MATCHED',
+        severity: 'info',
+        message:
+          'apiDeclaration resourcePath "/pet" is used for "/pet" matched by ' +
+          'resourcePath',
+        location: { declarationPath: '/pet', pointer: '' },
+      });
+    });
+
+    it('accepts merged documents', () => {
+      const merged = [
+        { resourceListing, apiDeclarations: [pet, store, user] },
+        Object.assign({}, resourceListing, {
+          apiDeclarations: { '/pet': pet, '/store': store, '/user': user },
+        }),
+        [resourceListing, pet, store, user],
+        JSON.stringify([resourceListing, pet, store, user]),
+      ];
+
+      merged.forEach((document) => {
+        expect(convert(document)).to.deep.equal(expected);
+      });
+    });
+
+    it('matches keys by {format} variants and path suffix', () => {
+      const listing = Object.assign({}, resourceListing, {
+        apis: resourceListing.apis.map((api) =>
+          Object.assign({}, api, { path: api.path + '.{format}' }),
+        ),
+      });
+      const result = convertWithReport(listing, {
+        '/pet.json': pet,
+        'store.yaml': store,
+        'http://example.com/api-docs/user': Object.assign({}, user, {
+          resourcePath: undefined,
+        }),
+      });
+
+      expect(result.swagger.paths).to.deep.equal(expected.paths);
+      const matched = result.warnings.filter(
+        (warning) => warning.code === 'DECLARATION_MATCHED',
+      );
+      expect(matched.map((warning) => warning.message)).to.deep.equal([
+        'apiDeclaration "/pet.json" is used for "/pet.{format}" matched by key',
+        'apiDeclaration "http://example.com/api-docs/user" is used for ' +
+          '"/user.{format}" matched by path suffix',
+        'apiDeclaration "store.yaml" is used for "/store.{format}" matched ' +
+          'by key',
+      ]);
+    });
+
+    it('prefers exact keys and emits no warnings for them', () => {
+      const result = convertWithReport(resourceListing, {
+        '/pet': pet,
+        '/store': store,
+        '/user': user,
+        '/v2/pet': store,
+      });
+
+      expect(result.swagger).to.deep.equal(expected);
+      expect(
+        result.warnings.filter(
+          (warning) => warning.code === 'DECLARATION_MATCHED',
+        ),
+      ).to.deep.equal([]);
+    });
+
+    it('throws on ambiguous match', () => {
+      expect(() =>
+        convert(resourceListing, {
+          '/store': store,
+          '/user': user,
+          '/v1/pet': pet,
+          '/v2/pet': pet,
+        }),
+      ).to.throw(
+        SwaggerConverterError,
+        'Ambiguous apiDeclaration for "/pet": "/v1/pet", "/v2/pet" match it ' +
+          'by resourcePath, pass apiDeclarations keyed by resourceListing ' +
+          'paths instead',
+      );
+    });
+
+    it('throws on merged document without single resourceListing', () => {
+      expect(() => convert([pet, store])).to.throw(
+        SwaggerConverterError,
+        'Merged document should contain exactly one resourceListing, found 0',
+      );
+    });
+
+    it('throws on missing apiDeclaration', () => {
+      expect(() => convert(resourceListing, [pet, store])).to.throw(
+        SwaggerConverterError,
+        'resourceListing addressing missing declaration on path: /user',
+      );
+    });
+  });
+}
+
+function testFormatPlaceholder() {
+  describe('testing formatPlaceholder option', () => {
+    const resourceListing = {
+      swaggerVersion: '1.2',
+      apis: [{ path: '/pets.{format}' }],
+    };
+    const apiDeclarations = {
+      '/pets.{format}': {
+        swaggerVersion: '1.2',
+        resourcePath: '/pets',
+        produces: ['application/json', 'application/xml', 'text/plain'],
+        apis: [
+          {
+            path: '/pets.{format}',
+            operations: [{ method: 'GET', nickname: 'listPets' }],
+          },
+          {
+            path: '/pets/{petId}.{format}',
+            operations: [
+              {
+                method: 'GET',
+                nickname: 'getPet',
+                produces: ['application/atom+xml'],
+                parameters: [
+                  {
+                    paramType: 'path',
+                    name: 'petId',
+                    type: 'string',
+                    required: true,
+                  },
+                ],
+              },
+            ],
+          },
+          {
+            path: '/pets/count',
+            operations: [{ method: 'GET', nickname: 'countPets' }],
+          },
+        ],
+      },
+    };
+
+    function convertPaths(options) {
+      return convertWithReport(resourceListing, apiDeclarations, options);
+    }
+
+    it('substitutes json without touching produces by default', () => {
+      const { swagger } = convertPaths();
+
+      expect(Object.keys(swagger.paths)).to.deep.equal([
+        '/pets.json',
+        '/pets/count',
+        '/pets/{petId}.json',
+      ]);
+      expect(swagger.paths['/pets.json'].get.produces).to.deep.equal([
+        'application/json',
+        'application/xml',
+        'text/plain',
+      ]);
+      expect(swagger.tags).to.deep.equal([{ name: 'pets' }]);
+    });
+
+    it('substitutes chosen extension and filters produces', () => {
+      const { swagger, warnings } = convertPaths({
+        formatPlaceholder: 'substitute',
+        formatExtension: 'xml',
+      });
+
+      expect(Object.keys(swagger.paths)).to.deep.equal([
+        '/pets.xml',
+        '/pets/count',
+        '/pets/{petId}.xml',
+      ]);
+      expect(swagger.paths['/pets.xml'].get.produces).to.deep.equal([
+        'application/xml',
+      ]);
+      expect(swagger.paths['/pets/{petId}.xml'].get.produces).to.deep.equal([
+        'application/atom+xml',
+      ]);
+      // Paths without placeholder keep every media type
+      expect(swagger.paths['/pets/count'].get.produces).to.have.lengthOf(3);
+      expect(warnings).to.deep.equal([]);
+    });
+
+    it('warns when no media type matches extension', () => {
+      const { swagger, warnings } = convertPaths({
+        formatPlaceholder: 'substitute',
+        formatExtension: 'csv',
+      });
+
+      expect(swagger.paths['/pets.csv'].get.produces).to.have.lengthOf(3);
+      expect(
+        warnings.map((warning) => warning.location.pointer),
+      ).to.deep.equal([
+        '/apis/0/operations/0/produces',
+        '/apis/1/operations/0/produces',
+      ]);
+      expect(warnings[0]).to.include({
+        code: 'FORMAT_PLACEHOLDER',
+        message:
+          'None of produces media types matches "csv" extension, they are ' +
+          'kept as is',
+      });
+    });
+
+    it('declares placeholder as path parameter', () => {
+      const { swagger } = convertPaths({ formatPlaceholder: 'parameter' });
+
+      expect(Object.keys(swagger.paths)).to.deep.equal([
+        '/pets.{format}',
+        '/pets/count',
+        '/pets/{petId}.{format}',
+      ]);
+      expect(swagger.paths['/pets.{format}'].get.parameters).to.deep.equal([
+        {
+          name: 'format',
+          in: 'path',
+          required: true,
+          type: 'string',
+          enum: ['json', 'xml', 'txt'],
+        },
+      ]);
+      expect(
+        swagger.paths['/pets/{petId}.{format}'].get.parameters,
+      ).to.deep.equal([
+        { name: 'petId', in: 'path', required: true, type: 'string' },
+        {
+          name: 'format',
+          in: 'path',
+          required: true,
+          type: 'string',
+          enum: ['xml'],
+        },
+      ]);
+      expect(swagger.paths['/pets/count'].get.parameters).to.equal(undefined);
+      expect(
+        convertPaths({ formatPlaceholder: 'parameter', validate: true })
+          .validation,
+      ).to.deep.equal({ valid: true, errors: [] });
+    });
+
+    it('strips placeholder', () => {
+      const { swagger } = convertPaths({ formatPlaceholder: 'strip' });
+
+      expect(Object.keys(swagger.paths)).to.deep.equal([
+        '/pets',
+        '/pets/count',
+        '/pets/{petId}',
+      ]);
+      expect(swagger.paths['/pets'].get.produces).to.have.lengthOf(3);
+    });
+
+    it('throws on unsupported values', () => {
+      expect(() => convertPaths({ formatPlaceholder: 'drop' })).to.throw(
+        SwaggerConverterError,
+        'Unsupported formatPlaceholder: drop',
+      );
+      expect(() => convertPaths({ formatExtension: 'x/y' })).to.throw(
+        SwaggerConverterError,
+        'Unsupported formatExtension: x/y',
+      );
+      expect(() =>
+        convertPaths({ formatPlaceholder: 'strip', formatExtension: 'xml' }),
+      ).to.throw(
+        SwaggerConverterError,
+        'formatExtension option supports only substitute formatPlaceholder',
+      );
+    });
+  });
+}
+
+function testExtensions() {
+  describe('testing vendor extensions', () => {
+    const resourceListing = readInputFile('extensions/index.json');
+    const apiDeclarations = { '/pets': readInputFile('extensions/pets.json') };
+
+    it('drops extensions with upper case prefix by default', () => {
+      const report = convertWithReport(resourceListing, apiDeclarations, {
+        validate: true,
+      });
+      const operation = report.swagger.paths['/pets'].get;
+
+      expect(operation).not.to.have.property('X-Rate-Limit');
+      expect(operation).not.to.have.property('x-Rate-Limit');
+      expect(report.warnings).to.deep.equal([
+        {
+          code: 'EXTENSION_DROPPED',
+          severity: 'warning',
+          message:
+            'Vendor extension "X-Rate-Limit" doesn\'t start with lower case ' +
+            '"x-" and was dropped',
+          location: {
+            declarationPath: '/pets',
+            pointer: '/apis/0/operations/0/X-Rate-Limit',
+          },
+        },
+      ]);
+      expect(report.validation.valid).to.equal(true);
+    });
+
+    it('reports dropped parameter extensions', () => {
+      const report = convertWithReport(
+        { swaggerVersion: '1.2', apis: [{ path: '/pets' }] },
+        {
+          '/pets': {
+            swaggerVersion: '1.2',
+            resourcePath: '/pets',
+            apis: [
+              {
+                path: '/pets',
+                operations: [
+                  {
+                    method: 'GET',
+                    nickname: 'findPets',
+                    parameters: [
+                      {
+                        paramType: 'query',
+                        name: 'limit',
+                        type: 'integer',
+                        'x-internal': true,
+                        'X-Deprecated': true,
+                      },
+                    ],
+                  },
+                ],
+              },
+            ],
+          },
+        },
+      );
+
+      expect(report.swagger.paths['/pets'].get.parameters).to.deep.equal([
+        { in: 'query', name: 'limit', type: 'integer', 'x-internal': true },
+      ]);
+      expect(report.warnings.map((warning) => warning.location)).to.deep.equal([
+        {
+          declarationPath: '/pets',
+          pointer: '/apis/0/operations/0/parameters/0/X-Deprecated',
+        },
+      ]);
+    });
+
+    it('normalizes extensions with upper case prefix', () => {
+      const report = convertWithReport(resourceListing, apiDeclarations, {
+        validate: true,
+        normalizeExtensions: true,
+      });
+
+      expect(report.swagger.paths['/pets'].get).to.include({
+        'x-Rate-Limit': 100,
+      });
+      expect(report.validation.valid).to.equal(true);
+    });
+
+    it('keeps extensions for OpenAPI 3 targets', () => {
+      const openapi = convert(resourceListing, apiDeclarations, {
+        target: 'openapi-3.0',
+        normalizeExtensions: true,
+      });
+
+      expect(openapi).to.include({ 'x-root': 'listing' });
+      expect(openapi.paths['/pets']).to.include({ 'x-cache': 60 });
+      expect(openapi.paths['/pets'].get).to.include({ 'x-Rate-Limit': 100 });
+      expect(openapi.components.securitySchemes.oauth2).to.include({
+        'x-provider': 'example',
+      });
+      expect(openapi.tags[0]).to.include({ 'x-declaration': 'pets' });
+    });
+
+    it('keeps OpenAPI 3 extensions in line with Swagger 2.0 ones', () => {
+      const plugins = [
+        {
+          onOperation(oldOperation, operation) {
+            operation['X-Plugin'] = true;
+          },
+        },
+      ];
+      const openapi = convert(resourceListing, apiDeclarations, {
+        target: 'openapi-3.0',
+        plugins,
+      });
+      const normalized = convert(resourceListing, apiDeclarations, {
+        target: 'openapi-3.0',
+        normalizeExtensions: true,
+        plugins,
+      });
+
+      expect(openapi.paths['/pets'].get).not.to.have.property('X-Plugin');
+      expect(openapi.paths['/pets'].get).not.to.have.property('X-Rate-Limit');
+      expect(normalized.paths['/pets'].get).to.include({
+        'x-Plugin': true,
+        'x-Rate-Limit': 100,
+      });
+    });
+
+    it('merges extensions of path items', () => {
+      const admin = {
+        swaggerVersion: '1.2',
+        resourcePath: '/admin',
+        apis: [
+          {
+            path: '/pets',
+            'x-cache': 0,
+            'x-admin': true,
+            operations: [{ method: 'POST', nickname: 'addPet' }],
+          },
+        ],
+      };
+      const swagger = convert(
+        Object.assign({}, resourceListing, {
+          apis: resourceListing.apis.concat({ path: '/admin' }),
+        }),
+        Object.assign({}, apiDeclarations, { '/admin': admin }),
+        { pathCollision: 'merge' },
+      );
+
+      expect(Object.keys(swagger.paths['/pets']).sort()).to.deep.equal([
+        'get',
+        'post',
+        'x-admin',
+        'x-cache',
+      ]);
+      expect(swagger.paths['/pets']['x-cache']).to.equal(60);
+    });
+
+    it('warns about extensions of resource without tag', () => {
+      const { warnings } = convertWithReport(
+        { swaggerVersion: '1.2', apis: [{ path: '/', 'x-resource': 1 }] },
+        {
+          '/': {
+            swaggerVersion: '1.2',
+            resourcePath: '/',
+            'x-declaration': 2,
+            apis: [],
+          },
+        },
+      );
+
+      expect(warnings).to.deep.equal([
+        {
+          code: 'EXTENSION_DROPPED',
+          severity: 'warning',
+          message:
+            'Resource has no tag to keep its extensions: x-resource, ' +
+            'x-declaration',
+          location: { declarationPath: '/', pointer: '' },
+        },
+      ]);
+    });
+  });
+}
+
+function testValidationKeywords() {
+  describe('testing validation keywords', () => {
+    const resourceListing = {
+      swaggerVersion: '1.2',
+      apis: [{ path: '/pets' }],
+    };
+    const apiDeclarations = {
+      '/pets': {
+        swaggerVersion: '1.2',
+        resourcePath: '/pets',
+        apis: [
+          {
+            path: '/pets',
+            operations: [
+              {
+                method: 'GET',
+                nickname: 'findPets',
+                type: 'Pet',
+                parameters: [
+                  {
+                    paramType: 'query',
+                    name: 'name',
+                    type: 'string',
+                    pattern: '^[a-z]+$',
+                    minLength: '1',
+                    maxLength: 20,
+                    title: 'Name',
+                    readOnly: true,
+                    example: 'rex',
+                  },
+                  {
+                    paramType: 'query',
+                    name: 'tags',
+                    type: 'array',
+                    items: { type: 'string', maxLength: '10' },
+                  },
+                  {
+                    paramType: 'query',
+                    name: 'weight',
+                    type: 'number',
+                    exclusiveMinimum: 0,
+                    multipleOf: '0.5',
+                  },
+                ],
+              },
+            ],
+          },
+        ],
+        models: {
+          Pet: {
+            id: 'Pet',
+            title: 'A pet',
+            minProperties: '1',
+            properties: {
+              id: { type: 'integer', readOnly: 'true', example: '1' },
+              age: {
+                type: 'integer',
+                minimum: 0,
+                exclusiveMinimum: 'true',
+                exclusiveMaximum: 'false',
+              },
+            },
+          },
+        },
+      },
+    };
+
+    it('copies keywords parameters accept', () => {
+      const result = convertWithReport(resourceListing, apiDeclarations, {
+        validate: true,
+      });
+      const parameters = result.swagger.paths['/pets'].get.parameters;
+
+      expect(parameters).to.deep.equal([
+        {
+          in: 'query',
+          name: 'name',
+          type: 'string',
+          pattern: '^[a-z]+$',
+          minLength: 1,
+          maxLength: 20,
+        },
+        {
+          in: 'query',
+          name: 'tags',
+          type: 'array',
+          items: { type: 'string', maxLength: 10 },
+        },
+        {
+          in: 'query',
+          name: 'weight',
+          type: 'number',
+          minimum: 0,
+          exclusiveMinimum: true,
+          multipleOf: 0.5,
+        },
+      ]);
+      expect(result.validation).to.deep.equal({ valid: true, errors: [] });
+    });
+
+    it('copies schema keywords to schemas only', () => {
+      const swagger = convert(resourceListing, apiDeclarations);
+
+      expect(swagger.definitions.Pet).to.deep.equal({
+        title: 'A pet',
+        minProperties: 1,
+        properties: {
+          id: { type: 'integer', readOnly: true, example: '1' },
+          age: {
+            type: 'integer',
+            minimum: 0,
+            exclusiveMinimum: true,
+            exclusiveMaximum: false,
+          },
+        },
+      });
+    });
+
+    it('keeps the stricter of numeric exclusive and inclusive limits', () => {
+      const swagger = convert(resourceListing, {
+        '/pets': Object.assign({}, apiDeclarations['/pets'], {
+          models: {
+            Pet: {
+              id: 'Pet',
+              properties: {
+                age: { type: 'integer', maximum: 10, exclusiveMaximum: 20 },
+                weight: { type: 'number', minimum: 1, exclusiveMinimum: 5 },
+                height: { type: 'number', minimum: 5, exclusiveMinimum: 5 },
+              },
+            },
+          },
+        }),
+      });
+
+      expect(swagger.definitions.Pet.properties).to.deep.equal({
+        age: { type: 'integer', maximum: 10 },
+        weight: { type: 'number', minimum: 5, exclusiveMinimum: true },
+        height: { type: 'number', minimum: 5, exclusiveMinimum: true },
+      });
+    });
+
+    it('reports keywords which can not be parsed', () => {
+      const { swagger, warnings } = convertWithReport(resourceListing, {
+        '/pets': Object.assign({}, apiDeclarations['/pets'], {
+          models: {
+            Pet: {
+              id: 'Pet',
+              properties: {
+                weight: { type: 'number', multipleOf: 'abc', maximum: '10' },
+                tags: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  uniqueItems: 1,
+                },
+              },
+            },
+          },
+        }),
+      });
+
+      expect(swagger.definitions.Pet.properties).to.deep.equal({
+        weight: { type: 'number', maximum: 10 },
+        tags: { type: 'array', items: { type: 'string' } },
+      });
+      expect(
+        warnings.map((warning) => [
+          warning.code,
+          warning.location.pointer,
+          warning.message,
+        ]),
+      ).to.deep.equal([
+        [
+          'INVALID_KEYWORD',
+          '/models/Pet/properties/tags/uniqueItems',
+          'Value 1 of "uniqueItems" can not be parsed and was dropped',
+        ],
+        [
+          'INVALID_KEYWORD',
+          '/models/Pet/properties/weight/multipleOf',
+          'Value "abc" of "multipleOf" can not be parsed and was dropped',
+        ],
+      ]);
+    });
+  });
+}
+
+function testTypedValues() {
+  describe('testing coercion of default and enum values', () => {
+    function convertParameters(parameters) {
+      return convertWithReport(
+        { swaggerVersion: '1.2', apis: [{ path: '/pets' }] },
+        {
+          '/pets': {
+            swaggerVersion: '1.2',
+            resourcePath: '/pets',
+            apis: [
+              {
+                path: '/pets',
+                operations: [
+                  { method: 'GET', nickname: 'findPets', parameters },
+                ],
+              },
+            ],
+          },
+        },
+      );
+    }
+
+    it('keeps falsy defaults', () => {
+      const { swagger } = convertParameters([
+        { paramType: 'query', name: 'offset', type: 'integer', default: 0 },
+        {
+          paramType: 'query',
+          name: 'sold',
+          type: 'boolean',
+          default: false,
+        },
+        {
+          paramType: 'query',
+          name: 'status',
+          type: 'string',
+          defaultValue: '0',
+        },
+      ]);
+
+      expect(
+        swagger.paths['/pets'].get.parameters.map(
+          (parameter) => parameter.default,
+        ),
+      ).to.deep.equal([0, false, '0']);
+    });
+
+    it('coerces defaults and enum members to the type', () => {
+      const { swagger, warnings } = convertParameters([
+        {
+          paramType: 'query',
+          name: 'limit',
+          type: 'integer',
+          defaultValue: '10',
+          enum: ['10', '20', 50],
+        },
+        {
+          paramType: 'query',
+          name: 'weight',
+          type: 'number',
+          default: '1.5',
+          enum: ['1.5', '2'],
+        },
+        {
+          paramType: 'query',
+          name: 'sold',
+          type: 'boolean',
+          defaultValue: 'TRUE',
+          enum: ['true', 'false'],
+        },
+        {
+          paramType: 'query',
+          name: 'code',
+          type: 'string',
+          defaultValue: 1,
+          enum: [1, '2'],
+        },
+        {
+          paramType: 'query',
+          name: 'ids',
+          type: 'array',
+          items: { type: 'integer' },
+          defaultValue: '1,2',
+          enum: ['1', '2', '3'],
+        },
+        {
+          paramType: 'query',
+          name: 'tags',
+          type: 'array',
+          items: { type: 'number' },
+          default: '[1, "2.5"]',
+        },
+      ]);
+      const parameters = swagger.paths['/pets'].get.parameters;
+
+      expect(parameters.map((parameter) => parameter.default)).to.deep.equal([
+        10,
+        1.5,
+        true,
+        '1',
+        [1, 2],
+        [1, 2.5],
+      ]);
+      expect(parameters.map((parameter) => parameter.enum)).to.deep.equal([
+        [10, 20, 50],
+        [1.5, 2],
+        [true, false],
+        ['1', '2'],
+        [1, 2, 3],
+        undefined,
+      ]);
+      expect(warnings).to.deep.equal([]);
+    });
+
+    it('reports values which can not be coerced', () => {
+      const { swagger, warnings } = convertParameters([
+        {
+          paramType: 'query',
+          name: 'limit',
+          type: 'integer',
+          defaultValue: '1.5',
+          enum: ['1', 'many', '2.5'],
+        },
+        {
+          paramType: 'query',
+          name: 'ids',
+          type: 'array',
+          items: { type: 'integer' },
+          defaultValue: '1,x',
+        },
+        {
+          paramType: 'query',
+          name: 'sold',
+          type: 'boolean',
+          enum: ['yes'],
+        },
+      ]);
+      const parameters = swagger.paths['/pets'].get.parameters;
+
+      expect(parameters[0]).to.not.have.property('default');
+      expect(parameters[0].enum).to.deep.equal([1, 'many', '2.5']);
+      expect(parameters[1]).to.not.have.property('default');
+      expect(parameters[2].enum).to.deep.equal(['yes']);
+      expect(
+        warnings.map((warning) => [
+          warning.code,
+          warning.location.pointer,
+          warning.message,
+        ]),
+      ).to.deep.equal([
+        [
+          'INVALID_DEFAULT',
+          '/apis/0/operations/0/parameters/0/defaultValue',
+          'Default value "1.5" can not be parsed and was dropped',
+        ],
+        [
+          'INVALID_ENUM_VALUE',
+          '/apis/0/operations/0/parameters/0/enum/1',
+          'Enum value "many" is not a valid integer and was kept as is',
+        ],
+        [
+          'INVALID_ENUM_VALUE',
+          '/apis/0/operations/0/parameters/0/enum/2',
+          'Enum value "2.5" is not a valid integer and was kept as is',
+        ],
+        [
+          'INVALID_DEFAULT',
+          '/apis/0/operations/0/parameters/1/defaultValue',
+          'Default value "1,x" can not be parsed and was dropped',
+        ],
+        [
+          'INVALID_ENUM_VALUE',
+          '/apis/0/operations/0/parameters/2/enum/0',
+          'Enum value "yes" is not a valid boolean and was kept as is',
+        ],
+      ]);
+    });
+  });
+}
+
+function testPathParameters() {
+  describe('testing path parameters repair', () => {
+    function convertOperation(path, parameters, options) {
+      return convertWithReport(
+        { swaggerVersion: '1.2', apis: [{ path: '/pets' }] },
+        {
+          '/pets': {
+            swaggerVersion: '1.2',
+            resourcePath: '/pets',
+            apis: [
+              {
+                path,
+                operations: [{ method: 'GET', nickname: 'getPet', parameters }],
+              },
+            ],
+          },
+        },
+        Object.assign({ validate: true }, options),
+      );
+    }
+
+    it('adds missing path parameters', () => {
+      const report = convertOperation('/pets/{petId}/photos/{photoId}', [
+        { paramType: 'path', name: 'photoId', type: 'integer' },
+      ]);
+      const operation = report.swagger.paths['/pets/{petId}/photos/{photoId}'];
+
+      expect(operation.get.parameters).to.deep.equal([
+        { in: 'path', name: 'photoId', type: 'integer', required: true },
+        { in: 'path', name: 'petId', type: 'string', required: true },
+      ]);
+      expect(report.warnings).to.deep.equal([
+        {
+          code: 'PATH_PARAMETER',
+          severity: 'warning',
+          message:
+            'Path parameter "petId" is not declared for ' +
+            '"/pets/{petId}/photos/{photoId}", it was added as string',
+          location: {
+            declarationPath: '/pets',
+            pointer: '/apis/0/operations/0',
+          },
+        },
+      ]);
+      expect(report.validation.valid).to.equal(true);
+    });
+
+    it('renames parameters which differ only by case', () => {
+      const report = convertOperation('/pets/{petId}', [
+        { paramType: 'path', name: 'PetID', type: 'integer' },
+      ]);
+
+      expect(
+        report.swagger.paths['/pets/{petId}'].get.parameters,
+      ).to.deep.equal([
+        { in: 'path', name: 'petId', type: 'integer', required: true },
+      ]);
+      expect(report.warnings.map((warning) => warning.message)).to.deep.equal([
+        'Path parameter "PetID" was renamed to "petId" to match "/pets/{petId}"',
+      ]);
+      expect(report.warnings[0].location.pointer).to.equal(
+        '/apis/0/operations/0/parameters/0',
+      );
+      expect(report.validation.valid).to.equal(true);
+    });
+
+    it('demotes or drops parameters without template', () => {
+      const report = convertOperation('/pets', [
+        { paramType: 'path', name: 'kind', type: 'string' },
+        { paramType: 'path', name: 'limit', type: 'integer', required: true },
+        { paramType: 'query', name: 'limit', type: 'integer' },
+      ]);
+
+      expect(report.swagger.paths['/pets'].get.parameters).to.deep.equal([
+        { in: 'query', name: 'kind', type: 'string', required: false },
+        { in: 'query', name: 'limit', type: 'integer' },
+      ]);
+      expect(report.warnings.map((warning) => warning.message)).to.deep.equal([
+        'Path parameter "kind" is not used in "/pets" and became query ' +
+          'parameter',
+        'Path parameter "limit" is not used in "/pets" and was dropped',
+      ]);
+      expect(report.validation.valid).to.equal(true);
+    });
+
+    it('reports original positions of parameters after body merge', () => {
+      const report = convertOperation('/pets', [
+        { paramType: 'body', name: 'pet', type: 'string' },
+        { paramType: 'body', name: 'note', type: 'string' },
+        { paramType: 'query', name: 'dryRun', type: 'boolean' },
+        { paramType: 'path', name: 'kind', type: 'string', required: true },
+      ]);
+
+      expect(report.swagger.paths['/pets'].get.parameters).to.deep.equal([
+        {
+          in: 'body',
+          name: 'body',
+          schema: {
+            type: 'object',
+            properties: { pet: { type: 'string' }, note: { type: 'string' } },
+          },
+        },
+        { in: 'query', name: 'dryRun', type: 'boolean' },
+        { in: 'query', name: 'kind', type: 'string', required: true },
+      ]);
+      expect(
+        report.warnings.map((warning) => [
+          warning.code,
+          warning.location.pointer,
+        ]),
+      ).to.deep.equal([
+        ['BODY_PARAMETER', '/apis/0/operations/0'],
+        ['PATH_PARAMETER', '/apis/0/operations/0/parameters/3'],
+      ]);
+      expect(report.validation.valid).to.equal(true);
+    });
+
+    it('can be disabled', () => {
+      const report = convertOperation(
+        '/pets/{petId}',
+        [{ paramType: 'path', name: 'kind', type: 'string' }],
+        { repairPathParameters: false },
+      );
+
+      expect(report.warnings).to.deep.equal([]);
+      expect(
+        report.validation.errors.map((error) => error.code),
+      ).to.deep.equal(['UNKNOWN_PATH_PARAMETER', 'MISSING_PATH_PARAMETER']);
+    });
+  });
+}
+
+function testBodyParameters() {
+  describe('testing body parameters', () => {
+    function convertOperation(parameters, options, swaggerVersion = '1.2') {
+      return convertWithReport(
+        { swaggerVersion, apis: [{ path: '/pets' }] },
+        {
+          '/pets': {
+            swaggerVersion,
+            resourcePath: '/pets',
+            apis: [
+              {
+                path: '/pets',
+                operations: [
+                  { method: 'POST', nickname: 'addPet', parameters },
+                ],
+              },
+            ],
+            models: {
+              Pet: { id: 'Pet', properties: { id: { type: 'integer' } } },
+            },
+          },
+        },
+        Object.assign({ validate: true }, options),
+      );
+    }
+
+    const conflicting = [
+      { paramType: 'body', name: 'pet', type: 'Pet' },
+      { paramType: 'form', name: 'name', type: 'string' },
+      { paramType: 'form', name: 'status', type: 'string' },
+    ];
+
+    it('merges several body parameters into one', () => {
+      const report = convertOperation([
+        { paramType: 'query', name: 'dryRun', type: 'boolean' },
+        { paramType: 'body', name: 'pet', type: 'Pet', required: true },
+        {
+          paramType: 'body',
+          name: 'note',
+          type: 'string',
+          description: 'Note',
+        },
+      ]);
+
+      expect(report.swagger.paths['/pets'].post.parameters).to.deep.equal([
+        { in: 'query', name: 'dryRun', type: 'boolean' },
+        {
+          in: 'body',
+          name: 'body',
+          required: true,
+          schema: {
+            type: 'object',
+            properties: {
+              pet: { $ref: '#/definitions/Pet' },
+              note: { type: 'string', description: 'Note' },
+            },
+            required: ['pet'],
+          },
+        },
+      ]);
+      expect(report.warnings).to.deep.equal([
+        {
+          code: 'BODY_PARAMETER',
+          severity: 'info',
+          message: 'Body parameters "pet", "note" were merged into one',
+          location: {
+            declarationPath: '/pets',
+            pointer: '/apis/0/operations/0',
+          },
+        },
+      ]);
+      expect(report.validation.valid).to.equal(true);
+    });
+
+    it('gives merged properties unique names', () => {
+      const report = convertOperation([
+        { paramType: 'body', name: 'pet', type: 'Pet' },
+        { paramType: 'body', name: 'pet', type: 'string' },
+      ]);
+      const parameter = report.swagger.paths['/pets'].post.parameters[0];
+
+      expect(parameter.required).to.equal(undefined);
+      expect(parameter.schema).to.deep.equal({
+        type: 'object',
+        properties: {
+          pet: { $ref: '#/definitions/Pet' },
+          pet_2: { type: 'string' },
+        },
+      });
+    });
+
+    it('prefers body parameter by default', () => {
+      const report = convertOperation(conflicting);
+
+      expect(
+        report.swagger.paths['/pets'].post.parameters.map((p) => p.name),
+      ).to.deep.equal(['pet']);
+      expect(report.warnings.map((warning) => warning.message)).to.deep.equal([
+        'FormData parameters "name", "status" conflict with body parameter ' +
+          '"pet" and were dropped',
+      ]);
+      expect(report.validation.valid).to.equal(true);
+    });
+
+    it('prefers formData parameters', () => {
+      const report = convertOperation(conflicting, {
+        bodyConflict: 'prefer-form-data',
+      });
+
+      expect(
+        report.swagger.paths['/pets'].post.parameters.map((p) => p.name),
+      ).to.deep.equal(['name', 'status']);
+      expect(report.warnings.map((warning) => warning.message)).to.deep.equal([
+        'Body parameter "pet" conflicts with formData parameters "name", ' +
+          '"status" and was dropped',
+      ]);
+      expect(report.validation.valid).to.equal(true);
+    });
+
+    it('throws on conflict with error policy', () => {
+      expect(() =>
+        convertOperation(conflicting, { bodyConflict: 'error' }),
+      ).to.throw(
+        SwaggerConverterError,
+        'Body parameter "pet" conflicts with formData parameters "name", ' +
+          '"status"',
+      );
+    });
+
+    it('wraps body with allowMultiple into array only in Swagger 1.0/1.1', () => {
+      const parameters = [
+        { paramType: 'body', name: 'pets', type: 'Pet', allowMultiple: true },
+      ];
+      const legacy = convertOperation(parameters, {}, '1.1');
+      const current = convertOperation(parameters, {}, '1.2');
+
+      expect(
+        legacy.swagger.paths['/pets'].post.parameters[0].schema,
+      ).to.deep.equal({ type: 'array', items: { $ref: '#/definitions/Pet' } });
+      expect(
+        current.swagger.paths['/pets'].post.parameters[0].schema,
+      ).to.deep.equal({ $ref: '#/definitions/Pet' });
+    });
+
+    it('consumes multipart form data for files by default', () => {
+      const report = convertOperation([
+        { paramType: 'form', name: 'image', type: 'File' },
+      ]);
+
+      expect(report.swagger.paths['/pets'].post.consumes).to.deep.equal([
+        'multipart/form-data',
+      ]);
+      expect(report.warnings).to.deep.equal([]);
+      expect(report.validation.valid).to.equal(true);
+    });
+
+    it('rejects unsupported policy', () => {
+      expect(() => convertOperation([], { bodyConflict: 'merge' })).to.throw(
+        SwaggerConverterError,
+        'Unsupported bodyConflict: merge',
+      );
+    });
+  });
+}
+
+function testMediaTypes() {
+  describe('testing media types normalization', () => {
+    function convertOperations(apis, options) {
+      return convertWithReport(
+        { swaggerVersion: '1.2', apis: [{ path: '/pets' }] },
+        { '/pets': { swaggerVersion: '1.2', resourcePath: '/pets', apis } },
+        Object.assign({ normalizeMediaTypes: true, validate: true }, options),
+      );
+    }
+
+    it('canonicalizes media types', () => {
+      const report = convertOperations([
+        {
+          path: '/pets',
+          operations: [
+            {
+              method: 'GET',
+              nickname: 'getPets',
+              produces: [
+                'json',
+                'application/JSON ',
+                'text/json',
+                'text/html ;charset=UTF-8',
+                'html page',
+              ],
+            },
+          ],
+        },
+      ]);
+
+      expect(report.swagger.produces).to.deep.equal([
+        'application/json',
+        'text/html; charset=UTF-8',
+      ]);
+      expect(report.warnings).to.deep.equal([
+        {
+          code: 'MEDIA_TYPE',
+          severity: 'warning',
+          message: 'Media type "html page" can not be parsed and was dropped',
+          location: {
+            declarationPath: '/pets',
+            pointer: '/apis/0/operations/0/produces/4',
+          },
+        },
+      ]);
+      expect(report.validation.valid).to.equal(true);
+    });
+
+    it('infers consumes from formData parameters', () => {
+      const report = convertOperations([
+        {
+          path: '/pets',
+          operations: [
+            {
+              method: 'POST',
+              nickname: 'addPet',
+              parameters: [{ paramType: 'form', name: 'name', type: 'string' }],
+            },
+            {
+              method: 'PUT',
+              nickname: 'updatePet',
+              consumes: ['json'],
+              parameters: [{ paramType: 'form', name: 'photo', type: 'File' }],
+            },
+          ],
+        },
+      ]);
+      const path = report.swagger.paths['/pets'];
+
+      expect(path.post.consumes).to.deep.equal([
+        'application/x-www-form-urlencoded',
+      ]);
+      expect(path.put.consumes).to.deep.equal(['multipart/form-data']);
+      expect(report.warnings.map((warning) => warning.message)).to.deep.equal([
+        'Operation consumes "application/x-www-form-urlencoded" inferred ' +
+          'from formData parameters',
+        'Media types "application/json" can not be used with formData ' +
+          'parameters and were replaced by "multipart/form-data"',
+      ]);
+      expect(report.validation.valid).to.equal(true);
+    });
+
+    it('derives produces from format placeholder', () => {
+      const report = convertOperations(
+        [
+          {
+            path: '/pets.{format}',
+            operations: [{ method: 'GET', nickname: 'getPets' }],
+          },
+          {
+            path: '/pets/{petId}',
+            operations: [
+              {
+                method: 'GET',
+                nickname: 'getPet',
+                parameters: [
+                  { paramType: 'path', name: 'petId', type: 'string' },
+                ],
+              },
+            ],
+          },
+        ],
+        { formatPlaceholder: 'substitute', formatExtension: 'xml' },
+      );
+
+      expect(report.swagger.paths['/pets.xml'].get.produces).to.deep.equal([
+        'application/xml',
+      ]);
+      expect(report.swagger.paths['/pets/{petId}'].get.produces).to.equal(
+        undefined,
+      );
+      expect(report.swagger.produces).to.equal(undefined);
+    });
+
+    it('hoists media types shared by every operation', () => {
+      const report = convertOperations([
+        {
+          path: '/pets',
+          operations: [
+            {
+              method: 'GET',
+              nickname: 'getPets',
+              produces: ['json'],
+              consumes: ['json'],
+            },
+            {
+              method: 'POST',
+              nickname: 'addPet',
+              produces: ['application/json'],
+              consumes: ['xml'],
+            },
+          ],
+        },
+      ]);
+      const path = report.swagger.paths['/pets'];
+
+      expect(report.swagger.produces).to.deep.equal(['application/json']);
+      expect(report.swagger.consumes).to.equal(undefined);
+      expect(path.get).to.not.have.property('produces');
+      expect(path.get.consumes).to.deep.equal(['application/json']);
+      expect(path.post.consumes).to.deep.equal(['application/xml']);
+    });
+
+    it('copies media types as is by default', () => {
+      const report = convertOperations(
+        [
+          {
+            path: '/pets',
+            operations: [
+              { method: 'GET', nickname: 'getPets', produces: ['json'] },
+            ],
+          },
+        ],
+        { normalizeMediaTypes: false, validate: false },
+      );
+
+      expect(report.swagger.produces).to.equal(undefined);
+      expect(report.swagger.paths['/pets'].get.produces).to.deep.equal([
+        'json',
+      ]);
+    });
+  });
+}
+
 function sortObject(src) {
   if (Array.isArray(src)) {
     return src.map(sortObject);